@@ -0,0 +1,150 @@
+const crypto = require('crypto');
+const Story = require('../models/Story');
+const DailyStat = require('../models/DailyStat');
+const RecentEvent = require('../models/RecentEvent');
+
+// Repeats of the same event by the same viewer within this window count once
+const DEDUP_WINDOW_MS = 30 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_RANGE_DAYS = 366;
+
+// Events readers' clients report, and the DailyStat counter each one feeds
+const TRACKED_EVENTS = {
+  view: 'views',
+  complete: 'completions',
+  audio_play: 'audioPlays',
+  video_play: 'videoPlays',
+};
+
+const STORY_STAT_FIELDS = ['views', 'completions', 'audioPlays', 'videoPlays', 'likes', 'comments', 'bookmarks'];
+const ACCOUNT_STAT_FIELDS = [...STORY_STAT_FIELDS, 'followers'];
+const STAT_INTERVALS = ['day', 'week'];
+
+const utcDay = (date) => date.toISOString().slice(0, 10);
+const addDays = (day, days) => utcDay(new Date(Date.parse(`${day}T00:00:00Z`) + days * DAY_MS));
+// Weeks start on Monday
+const weekStart = (day) => addDays(day, -((new Date(`${day}T00:00:00Z`).getUTCDay() + 6) % 7));
+
+// Who is behind a tracked event: the signed-in user, else the visitor id the client
+// keeps (X-Visitor-Id), else a hash of the address and user agent
+const userViewerKey = (user) => `user:${user._id}`;
+const viewerKeyFor = (req) => {
+  if (req.user) return userViewerKey(req.user);
+  const visitorId = req.get('X-Visitor-Id');
+  if (visitorId && /^[\w-]{8,64}$/.test(visitorId)) return `visitor:${visitorId}`;
+  const fingerprint = `${req.ip}|${req.get('User-Agent') || ''}`;
+  return `anon:${crypto.createHash('sha256').update(fingerprint).digest('hex')}`;
+};
+
+// Count one to a story's (or, with storyId null, an author's) counters for today.
+// Errors are only logged: missing a data point is better than failing the request
+// that caused it.
+const recordStat = async ({ authorId, storyId = null, field }, now = new Date()) => {
+  const query = { authorId, storyId, day: utcDay(now) };
+  const update = { $inc: { [field]: 1 } };
+  try {
+    await DailyStat.updateOne(query, update, { upsert: true }).catch((err) => {
+      // Duplicate key: a concurrent request created today's document first
+      if (err.code === 11000) return DailyStat.updateOne(query, update);
+      throw err;
+    });
+  } catch (err) {
+    console.error('Error recording stat:', err);
+  }
+};
+
+// Whether this is the viewer's first `type` event on the story within the window.
+// Claims the window in the same step, so concurrent repeats only count once.
+const claimEvent = async (storyId, type, viewerKey, now) => {
+  const expiresAt = new Date(now.getTime() + DEDUP_WINDOW_MS);
+  try {
+    await RecentEvent.create({ storyId, type, viewerKey, expiresAt });
+    return true;
+  } catch (err) {
+    if (err.code !== 11000) throw err;
+  }
+  // Expired documents linger until MongoDB's TTL monitor gets to them
+  const { modifiedCount } = await RecentEvent.updateOne(
+    { storyId, type, viewerKey, expiresAt: { $lte: now } },
+    { $set: { expiresAt } }
+  );
+  return modifiedCount > 0;
+};
+
+// Record a reader's event on a story unless they already triggered it recently.
+// Authors reading their own stories aren't counted. Resolves to whether it counted.
+const trackEvent = async (story, type, viewerKey, now = new Date()) => {
+  if (viewerKey === `user:${story.authorId}`) return false;
+  if (!(await claimEvent(story._id, type, viewerKey, now))) return false;
+
+  await recordStat({ authorId: story.authorId, storyId: story._id, field: TRACKED_EVENTS[type] }, now);
+  if (type === 'view') {
+    await Story.updateOne({ _id: story._id }, { $inc: { viewCount: 1 } });
+  }
+  return true;
+};
+
+const isDay = (value) =>
+  /^\d{4}-\d{2}-\d{2}$/.test(value) &&
+  !Number.isNaN(Date.parse(value)) &&
+  utcDay(new Date(`${value}T00:00:00Z`)) === value;
+
+// Parse ?interval=day|week&from=YYYY-MM-DD&to=YYYY-MM-DD. Defaults to the last 30
+// days, or the last 12 weeks. Returns { error } when invalid.
+const parseStatsRange = (query = {}, now = new Date()) => {
+  const interval = query.interval || 'day';
+  if (!STAT_INTERVALS.includes(interval)) {
+    return { error: `Invalid interval. Use one of: ${STAT_INTERVALS.join(', ')}.` };
+  }
+  if ((query.from && !isDay(query.from)) || (query.to && !isDay(query.to))) {
+    return { error: 'from and to must be dates in YYYY-MM-DD format.' };
+  }
+
+  const to = query.to || utcDay(now);
+  let from = query.from || (interval === 'day' ? addDays(to, -29) : addDays(weekStart(to), -11 * 7));
+  if (interval === 'week') from = weekStart(from);
+  const days = (Date.parse(to) - Date.parse(from)) / DAY_MS + 1;
+  if (days < 1 || days > MAX_RANGE_DAYS) {
+    return { error: `from must be before to, at most ${MAX_RANGE_DAYS} days apart.` };
+  }
+  return { interval, from, to };
+};
+
+// Totals and a gap-free time series of the counters in `fields` for the DailyStat
+// documents matching `match`. Counts are of new events: an unlike doesn't take
+// back the like counted on an earlier day.
+const statsSeries = async (match, fields, { interval, from, to }) => {
+  const days = await DailyStat.aggregate([
+    { $match: { ...match, day: { $gte: from, $lte: to } } },
+    { $group: { _id: '$day', ...Object.fromEntries(fields.map((field) => [field, { $sum: `$${field}` }])) } },
+  ]);
+  const daysById = new Map(days.map((day) => [day._id, day]));
+
+  const zero = () => Object.fromEntries(fields.map((field) => [field, 0]));
+  const buckets = new Map();
+  const totals = zero();
+  for (let day = from; day <= to; day = addDays(day, 1)) {
+    const period = interval === 'week' ? weekStart(day) : day;
+    if (!buckets.has(period)) buckets.set(period, { period, ...zero() });
+    const counts = daysById.get(day);
+    if (!counts) continue;
+    for (const field of fields) {
+      buckets.get(period)[field] += counts[field];
+      totals[field] += counts[field];
+    }
+  }
+  return { interval, from, to, totals, series: [...buckets.values()] };
+};
+
+module.exports = {
+  TRACKED_EVENTS,
+  STORY_STAT_FIELDS,
+  ACCOUNT_STAT_FIELDS,
+  utcDay,
+  userViewerKey,
+  viewerKeyFor,
+  recordStat,
+  trackEvent,
+  parseStatsRange,
+  statsSeries,
+};
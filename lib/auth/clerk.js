@@ -0,0 +1,41 @@
+const { Clerk, ClerkExpressWithAuth } = require('@clerk/clerk-sdk-node');
+const User = require('../../models/User');
+const { profileFromApi, upsertClerkUser } = require('./clerkSync');
+
+// Sessions are Clerk's. Users are mirrored into MongoDB by the Clerk webhook
+// (routes/webhooks.js), so requests only read the local copy.
+const createClerkProvider = () => {
+  const clerk = new Clerk({ secretKey: process.env.CLERK_SECRET_KEY });
+  const withAuth = ClerkExpressWithAuth();
+
+  const readSession = (req, res) =>
+    new Promise((resolve, reject) => {
+      withAuth(req, res, (err) => (err ? reject(err) : resolve(req.auth)));
+    });
+
+  return {
+    name: 'clerk',
+    clerk,
+
+    authenticate: async (req, res) => {
+      const auth = await readSession(req, res);
+      if (!auth || !auth.userId) return null;
+      const user = await User.findOne({ clerkId: auth.userId });
+      if (user) return user;
+      // Signed up moments ago and the user.created webhook hasn't arrived yet
+      const clerkUser = await clerk.users.getUser(auth.userId);
+      return clerkUser ? upsertClerkUser(profileFromApi(clerkUser)) : null;
+    },
+
+    deleteAccount: async (user) => {
+      try {
+        await clerk.users.deleteUser(user.clerkId);
+      } catch (err) {
+        // Already gone, e.g. deleted on an earlier attempt that failed later on
+        if (err.status !== 404) throw err;
+      }
+    },
+  };
+};
+
+module.exports = createClerkProvider;
@@ -0,0 +1,151 @@
+const crypto = require('crypto');
+const User = require('../../models/User');
+const { emailWelcome } = require('../mail');
+const { claimAccountDeletion, deleteUserData } = require('../users');
+
+// Webhooks signed more than this long ago are rejected, so captured ones can't be replayed
+const WEBHOOK_TOLERANCE_S = 5 * 60;
+
+const displayName = (username, firstName, lastName) =>
+  username || [firstName, lastName].filter(Boolean).join(' ') || null;
+
+// The profile fields we keep, from a user in a Clerk webhook payload (snake_case)
+const profileFromWebhook = (data) => {
+  const emails = data.email_addresses || [];
+  const primary = emails.find((email) => email.id === data.primary_email_address_id) || emails[0];
+  return {
+    clerkId: data.id,
+    username: displayName(data.username, data.first_name, data.last_name),
+    email: primary ? primary.email_address : null,
+    imageUrl: data.image_url || null,
+    updatedAt: data.updated_at,
+  };
+};
+
+// The same, from a user returned by the Clerk API client (camelCase)
+const profileFromApi = (clerkUser) => {
+  const emails = clerkUser.emailAddresses || [];
+  const primary = emails.find((email) => email.id === clerkUser.primaryEmailAddressId) || emails[0];
+  return {
+    clerkId: clerkUser.id,
+    username: displayName(clerkUser.username, clerkUser.firstName, clerkUser.lastName),
+    email: primary ? primary.emailAddress : null,
+    imageUrl: clerkUser.imageUrl || null,
+    updatedAt: clerkUser.updatedAt,
+  };
+};
+
+const isUsernameTaken = (err) => err.code === 11000 && Boolean(err.keyPattern && err.keyPattern.username);
+
+// Usernames are unique here but display names built from first and last names
+// aren't, and a local account may hold the name already. A colliding name gets a
+// suffix from the Clerk ID.
+const dedupeUsername = (username, clerkId) => `${username}_${clerkId.slice(-6)}`;
+
+// Create or update the MongoDB copy of a Clerk user. Webhooks can arrive out of
+// order, so a profile older than the stored one is ignored. A profile image the
+// user uploaded here is kept. Resolves to the user.
+const upsertClerkUser = async (profile) => {
+  const clerkUpdatedAt = profile.updatedAt ? new Date(profile.updatedAt) : new Date();
+  const user = await User.findOne({ clerkId: profile.clerkId });
+
+  if (!user) {
+    try {
+      const created = await User.create({
+        clerkId: profile.clerkId,
+        username: profile.username || `user_${profile.clerkId}`,
+        email: profile.email || undefined,
+        imageUrl: profile.imageUrl,
+        clerkUpdatedAt,
+      });
+      console.log('New user created in MongoDB:', created.username);
+      await emailWelcome(created);
+      return created;
+    } catch (err) {
+      // Created concurrently by a webhook or another request: update that one instead
+      if (err.code === 11000 && (await User.exists({ clerkId: profile.clerkId }))) {
+        return upsertClerkUser(profile);
+      }
+      const deduped = profile.username && dedupeUsername(profile.username, profile.clerkId);
+      if (isUsernameTaken(err) && deduped && profile.username !== deduped) {
+        return upsertClerkUser({ ...profile, username: deduped });
+      }
+      throw err;
+    }
+  }
+
+  if (user.clerkUpdatedAt && user.clerkUpdatedAt > clerkUpdatedAt) {
+    return user;
+  }
+  user.username = profile.username || user.username;
+  user.email = profile.email || user.email;
+  if (!user.imageFileId) {
+    user.imageUrl = profile.imageUrl || user.imageUrl;
+  }
+  user.clerkUpdatedAt = clerkUpdatedAt;
+  user.updatedAt = Date.now();
+  try {
+    await user.save();
+  } catch (err) {
+    if (!isUsernameTaken(err) || !profile.username) throw err;
+    user.username = dedupeUsername(profile.username, profile.clerkId);
+    await user.save();
+  }
+  return user;
+};
+
+// Delete the MongoDB copy of a Clerk user and all their content. Skipped when the
+// account deletion worker is already deleting the user, which is what sends the
+// user.deleted webhook in the first place.
+const removeClerkUser = async (clerkId) => {
+  const user = await claimAccountDeletion({ clerkId });
+  if (user) {
+    await deleteUserData(user);
+  }
+};
+
+// Check a Clerk (Svix) webhook signature. Resolves to the parsed event, or null
+// when the signature is missing, wrong or too old.
+const verifyWebhook = (rawBody, headers, secret = process.env.CLERK_WEBHOOK_SECRET) => {
+  if (!secret) {
+    throw new Error('CLERK_WEBHOOK_SECRET is not configured');
+  }
+  const id = headers['svix-id'];
+  const timestamp = headers['svix-timestamp'];
+  const signatures = headers['svix-signature'];
+  if (!id || !timestamp || !signatures) return null;
+  if (!(Math.abs(Date.now() / 1000 - Number(timestamp)) <= WEBHOOK_TOLERANCE_S)) return null;
+
+  const key = Buffer.from(secret.replace(/^whsec_/, ''), 'base64');
+  const expected = crypto.createHmac('sha256', key).update(`${id}.${timestamp}.${rawBody}`).digest();
+  // The header lists one or more space-separated "v1,<base64 signature>" entries
+  const valid = signatures.split(' ').some((entry) => {
+    const [version, signature] = entry.split(',');
+    const actual = Buffer.from(signature || '', 'base64');
+    return version === 'v1' && actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+  });
+  return valid ? JSON.parse(rawBody) : null;
+};
+
+// Apply a verified Clerk webhook event. Other event types are ignored.
+const handleWebhookEvent = async ({ type, data }) => {
+  switch (type) {
+    case 'user.created':
+    case 'user.updated':
+      await upsertClerkUser(profileFromWebhook(data));
+      break;
+    case 'user.deleted':
+      if (data.id) await removeClerkUser(data.id);
+      break;
+    default:
+      break;
+  }
+};
+
+module.exports = {
+  profileFromApi,
+  upsertClerkUser,
+  removeClerkUser,
+  verifyWebhook,
+  handleWebhookEvent,
+};
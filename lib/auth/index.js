@@ -0,0 +1,21 @@
+const createClerkProvider = require('./clerk');
+const { createLocalProvider } = require('./local');
+
+// Every auth provider implements:
+//   authenticate(req, res) -> Promise<User | null>   (null when the request carries no valid session)
+//   deleteAccount(user)    -> Promise                 (remove the account on the provider's side)
+const createAuthProvider = (name = process.env.AUTH_PROVIDER || 'clerk') => {
+  switch (name) {
+    case 'clerk':
+      return createClerkProvider();
+    case 'local':
+      return createLocalProvider();
+    default:
+      throw new Error(`Unknown AUTH_PROVIDER: ${name}`);
+  }
+};
+
+module.exports = {
+  createAuthProvider,
+  authProvider: createAuthProvider(),
+};
@@ -0,0 +1,191 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const User = require('../../models/User');
+const RefreshToken = require('../../models/RefreshToken');
+const { OTP_TTL_MS, normalizeEmail, isValidEmail, issueOtp, verifyOtp } = require('../otp');
+const { emailWelcome, sendEmailNow } = require('../mail');
+
+// Short-lived JWT access tokens, renewed with long-lived refresh tokens that
+// rotate on every use
+const ACCESS_TOKEN_TTL_S = 15 * 60;
+const REFRESH_TOKEN_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+const PASSWORD_MIN_LENGTH = 8;
+const BCRYPT_ROUNDS = 10;
+
+const jwtSecret = () => {
+  if (!process.env.JWT_SECRET) {
+    throw new Error('JWT_SECRET is not configured');
+  }
+  return process.env.JWT_SECRET;
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+const checkPassword = (password) =>
+  typeof password === 'string' && password.length >= PASSWORD_MIN_LENGTH
+    ? null
+    : `Password must be at least ${PASSWORD_MIN_LENGTH} characters.`;
+
+// A new access token and refresh token. Pass the family of the refresh token being
+// rotated to keep the chain; a login starts a new family.
+const issueTokens = async (user, family = crypto.randomUUID()) => {
+  const refreshToken = crypto.randomBytes(48).toString('base64url');
+  await RefreshToken.create({
+    userId: user._id,
+    tokenHash: hashToken(refreshToken),
+    family,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS),
+  });
+  const accessToken = jwt.sign({ sub: user._id.toString(), ver: user.tokenVersion }, jwtSecret(), {
+    expiresIn: ACCESS_TOKEN_TTL_S,
+  });
+  return { accessToken, refreshToken, expiresIn: ACCESS_TOKEN_TTL_S };
+};
+
+// Create a local account. Resolves to { user } or { error, status }.
+const register = async ({ username, email, password }) => {
+  const address = normalizeEmail(email);
+  if (!username || typeof username !== 'string' || !isValidEmail(address)) {
+    return { error: 'A username and a valid email are required.', status: 400 };
+  }
+  const passwordError = checkPassword(password);
+  if (passwordError) {
+    return { error: passwordError, status: 400 };
+  }
+  if (await User.exists({ $or: [{ username }, { email: address }] })) {
+    return { error: 'Username or email is already taken.', status: 409 };
+  }
+
+  const _id = new mongoose.Types.ObjectId();
+  const user = new User({
+    _id,
+    clerkId: `local_${_id}`,
+    authProvider: 'local',
+    username,
+    email: address,
+    passwordHash: await bcrypt.hash(password, BCRYPT_ROUNDS),
+  });
+  await user.save();
+  await emailWelcome(user);
+  return { user };
+};
+
+// The local account matching a username or email and password, or null
+const login = async ({ login: identifier, password }) => {
+  if (typeof identifier !== 'string' || typeof password !== 'string') return null;
+  const user = await User.findOne({
+    authProvider: 'local',
+    $or: [{ username: identifier }, { email: normalizeEmail(identifier) }],
+  }).select('+passwordHash');
+  if (!user || !(await bcrypt.compare(password, user.passwordHash))) return null;
+  user.passwordHash = undefined;
+  return user;
+};
+
+// Exchange a refresh token for new tokens. Resolves to the tokens or { error }.
+const refresh = async (refreshToken) => {
+  const stored = await RefreshToken.findOne({ tokenHash: hashToken(refreshToken) });
+  if (!stored || stored.expiresAt < new Date()) {
+    return { error: 'Invalid refresh token.' };
+  }
+  if (stored.revokedAt) {
+    // An already rotated token being used again means it was copied: end every
+    // session descended from the same login
+    await RefreshToken.updateMany({ family: stored.family, revokedAt: null }, { $set: { revokedAt: Date.now() } });
+    return { error: 'Invalid refresh token.' };
+  }
+
+  // Only one request may rotate a given token
+  const { modifiedCount } = await RefreshToken.updateOne(
+    { _id: stored._id, revokedAt: null },
+    { $set: { revokedAt: Date.now() } }
+  );
+  const user = modifiedCount ? await User.findById(stored.userId) : null;
+  if (!user) {
+    return { error: 'Invalid refresh token.' };
+  }
+  return { user, ...(await issueTokens(user, stored.family)) };
+};
+
+// End the session a refresh token belongs to
+const logout = (refreshToken) =>
+  RefreshToken.updateOne({ tokenHash: hashToken(refreshToken), revokedAt: null }, { $set: { revokedAt: Date.now() } });
+
+// End every session of a user, including access tokens already handed out
+const revokeAllSessions = async (user) => {
+  await RefreshToken.updateMany({ userId: user._id, revokedAt: null }, { $set: { revokedAt: Date.now() } });
+  await User.updateOne({ _id: user._id }, { $inc: { tokenVersion: 1 } });
+};
+
+// Email a password reset code. Resolves to {} whether or not the email has an
+// account, so the response doesn't reveal which addresses are registered, or to
+// { error, retryAfter } when a cooldown or rate limit applies.
+const requestPasswordReset = async (email, ip) => {
+  const address = normalizeEmail(email);
+  const user = await User.findOne({ email: address, authProvider: 'local' });
+  if (!user) return {};
+
+  const result = await issueOtp(address, ip, 'password_reset');
+  if (result.error) return result;
+  await sendEmailNow({
+    user,
+    template: 'passwordReset',
+    vars: { code: result.code, minutes: OTP_TTL_MS / 60000 },
+    maxAttempts: 1,
+  });
+  return {};
+};
+
+// Set a new password with a code from requestPasswordReset. Signs the user out
+// everywhere. Resolves to {} or { error }.
+const resetPassword = async ({ email, otp, password }) => {
+  const address = normalizeEmail(email);
+  const passwordError = checkPassword(password);
+  if (passwordError) return { error: passwordError };
+  if (!isValidEmail(address) || !otp) return { error: 'Email and code are required.' };
+
+  const verified = await verifyOtp(address, otp, 'password_reset');
+  if (verified.error) return verified;
+  const user = await User.findOne({ email: address, authProvider: 'local' });
+  if (!user) return { error: 'No valid code for this email. Request a new one.' };
+
+  await User.updateOne({ _id: user._id }, { $set: { passwordHash: await bcrypt.hash(password, BCRYPT_ROUNDS) } });
+  await revokeAllSessions(user);
+  return {};
+};
+
+// Accounts and sessions live in MongoDB. Requests authenticate with
+// "Authorization: Bearer <access token>".
+const createLocalProvider = () => ({
+  name: 'local',
+
+  authenticate: async (req) => {
+    const [scheme, token] = (req.get('Authorization') || '').split(' ');
+    if (scheme !== 'Bearer' || !token) return null;
+
+    let payload;
+    try {
+      payload = jwt.verify(token, jwtSecret());
+    } catch (err) {
+      return null; // Expired or forged: the client should refresh or sign in again
+    }
+    const user = await User.findById(payload.sub);
+    return user && user.authProvider === 'local' && user.tokenVersion === payload.ver ? user : null;
+  },
+
+  deleteAccount: (user) => RefreshToken.deleteMany({ userId: user._id }),
+});
+
+module.exports = {
+  createLocalProvider,
+  issueTokens,
+  register,
+  login,
+  refresh,
+  logout,
+  revokeAllSessions,
+  requestPasswordReset,
+  resetPassword,
+};
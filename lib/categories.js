@@ -0,0 +1,103 @@
+const Story = require('../models/Story');
+const Category = require('../models/Category');
+const { publicStoryFilter } = require('./stories');
+const { slugify } = require('./slug');
+
+const MAX_TAGS = 10;
+const MAX_TAG_LENGTH = 30;
+const MAX_NAME_LENGTH = 60;
+const MAX_DESCRIPTION_LENGTH = 500;
+
+// Tags from a request body: an array, or a comma-separated string as multipart
+// forms send it. Tags are slugified ("#Krishna Leela" -> "krishna-leela") and
+// de-duplicated. Returns { tags } or { error }.
+const normalizeTags = (input) => {
+  const raw = Array.isArray(input) ? input : String(input).split(',');
+  const tags = [...new Set(raw.map(slugify).filter(Boolean))];
+  if (tags.length > MAX_TAGS) {
+    return { error: `A story can have at most ${MAX_TAGS} tags.` };
+  }
+  if (tags.some((tag) => tag.length > MAX_TAG_LENGTH)) {
+    return { error: `Tags must be at most ${MAX_TAG_LENGTH} characters.` };
+  }
+  return { tags };
+};
+
+// The category a story form refers to, by slug or display name, or null
+const findCategory = (input) => (input ? Category.findOne({ slug: slugify(input) }) : null);
+
+// Check the fields of a category being created or edited. Returns an error message, or null.
+const checkCategoryFields = ({ name, description, icon }, creating = false) => {
+  if (creating || name !== undefined) {
+    if (typeof name !== 'string' || !slugify(name) || name.length > MAX_NAME_LENGTH) {
+      return `name must be between 1 and ${MAX_NAME_LENGTH} characters.`;
+    }
+  }
+  if (description !== undefined && (typeof description !== 'string' || description.length > MAX_DESCRIPTION_LENGTH)) {
+    return `description must be at most ${MAX_DESCRIPTION_LENGTH} characters.`;
+  }
+  if (icon !== undefined && icon !== null && typeof icon !== 'string') {
+    return 'icon must be a string (an emoji or an image URL).';
+  }
+  return null;
+};
+
+// Every category with the number of public stories in it, by name
+const listCategories = async () => {
+  const [categories, counts] = await Promise.all([
+    Category.find().sort({ name: 1 }),
+    Story.aggregate([{ $match: publicStoryFilter() }, { $group: { _id: '$category', storyCount: { $sum: 1 } } }]),
+  ]);
+  const countsBySlug = new Map(counts.map(({ _id, storyCount }) => [_id, storyCount]));
+  return categories.map((category) => ({ ...category.toObject(), storyCount: countsBySlug.get(category.slug) || 0 }));
+};
+
+// Tags used by public stories, most used first, optionally starting with `prefix`
+const listTags = async ({ prefix = null, limit }) => {
+  const pipeline = [{ $match: { ...publicStoryFilter(), tags: { $exists: true, $ne: [] } } }, { $unwind: '$tags' }];
+  if (prefix) {
+    // Slugs have no regex metacharacters other than "-", which is literal here
+    pipeline.push({ $match: { tags: { $regex: `^${slugify(prefix)}` } } });
+  }
+  pipeline.push(
+    { $group: { _id: '$tags', storyCount: { $sum: 1 } } },
+    { $sort: { storyCount: -1, _id: 1 } },
+    { $limit: limit },
+    { $project: { _id: 0, tag: '$_id', storyCount: 1 } }
+  );
+  return Story.aggregate(pipeline);
+};
+
+// Change a category's slug, moving its stories along. Resolves to { error } when
+// the new slug is taken.
+const changeCategorySlug = async (category, slug) => {
+  if (slug === category.slug) return {};
+  if (await Category.exists({ slug })) {
+    return { error: `A category with the slug "${slug}" already exists. Merge them instead.` };
+  }
+  const oldSlug = category.slug;
+  category.slug = slug;
+  category.updatedAt = Date.now();
+  await category.save();
+  const { modifiedCount } = await Story.updateMany({ category: oldSlug }, { $set: { category: slug } });
+  return { movedStories: modifiedCount };
+};
+
+// Move every story of `source` into `target` and delete `source`
+const mergeCategories = async (source, target) => {
+  const { modifiedCount } = await Story.updateMany({ category: source.slug }, { $set: { category: target.slug } });
+  await Category.deleteOne({ _id: source._id });
+  await Category.updateOne({ _id: target._id }, { $set: { updatedAt: Date.now() } });
+  return { movedStories: modifiedCount };
+};
+
+module.exports = {
+  MAX_TAGS,
+  normalizeTags,
+  findCategory,
+  checkCategoryFields,
+  listCategories,
+  listTags,
+  changeCategorySlug,
+  mergeCategories,
+};
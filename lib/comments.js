@@ -0,0 +1,143 @@
+const Comment = require('../models/Comment');
+const Story = require('../models/Story');
+const { cursorFilter, toPage } = require('./storyQuery');
+
+// Top-level comments can be paged oldest-first (default) or newest-first
+const COMMENT_SORT_MODES = {
+  oldest: { field: 'createdAt', direction: 1 },
+  newest: { field: 'createdAt', direction: -1 },
+};
+
+const isPlaceholder = (comment) => comment.deleted || comment.hidden;
+
+// Shape a comment (document or plain object) for API responses.
+// `viewerId` is the Clerk ID of the reader, if signed in. Deleted and hidden
+// comments keep nothing of their author or content.
+const formatComment = (comment, viewerId) => {
+  const { likes = [], ...obj } = typeof comment.toObject === 'function' ? comment.toObject() : comment;
+  if (isPlaceholder(obj)) {
+    return {
+      ...obj,
+      userId: null,
+      username: null,
+      content: '',
+      likeCount: 0,
+      likedByMe: false,
+      edited: false,
+      editedAt: null,
+    };
+  }
+  return {
+    ...obj,
+    username: obj.userId ? obj.userId.username : 'Unknown',
+    likeCount: likes.length,
+    likedByMe: viewerId ? likes.includes(viewerId) : false,
+    edited: Boolean(obj.editedAt),
+  };
+};
+
+// Drop deleted and hidden comments from a list of threads, except where a
+// placeholder is needed to hold visible replies together
+const pruneThreads = (nodes) =>
+  nodes.reduce((kept, node) => {
+    const replies = pruneThreads(node.replies);
+    if (!isPlaceholder(node) || replies.length > 0) {
+      kept.push({ ...node, replies });
+    }
+    return kept;
+  }, []);
+
+// Fetch one page of top-level comments for a story with their full reply trees
+const listThreads = async (storyId, options, viewerId) => {
+  const filter = { storyId, parentId: null };
+  if (options.after) {
+    Object.assign(filter, cursorFilter(options.after, options.mode));
+  }
+  const direction = options.mode.direction;
+  const roots = await Comment.find(filter)
+    .sort({ createdAt: direction, _id: direction })
+    .limit(options.limit + 1)
+    .populate('userId', 'username imageUrl');
+  const { items, nextCursor } = toPage(roots, options);
+
+  const replies = await Comment.find({ rootId: { $in: items.map((root) => root._id) } })
+    .sort({ createdAt: 1, _id: 1 })
+    .populate('userId', 'username imageUrl');
+
+  const nodes = new Map();
+  const threads = items.map((root) => {
+    const node = { ...formatComment(root, viewerId), replies: [] };
+    nodes.set(root._id.toString(), node);
+    return node;
+  });
+  replies.forEach((reply) => {
+    nodes.set(reply._id.toString(), { ...formatComment(reply, viewerId), replies: [] });
+  });
+  // Replies are sorted oldest first, so every parent is placed before its children
+  replies.forEach((reply) => {
+    const node = nodes.get(reply._id.toString());
+    const parent = nodes.get(reply.parentId.toString()) || nodes.get(reply.rootId.toString());
+    parent.replies.push(node);
+  });
+
+  return { comments: pruneThreads(threads), nextCursor };
+};
+
+// Delete a comment. Comments that still have replies are kept as a placeholder
+// so the thread stays intact, and placeholders are removed once their last reply goes.
+const removeComment = async (comment) => {
+  const wasVisible = !comment.deleted && !comment.hidden;
+
+  if (comment.replyCount > 0) {
+    comment.deleted = true;
+    comment.content = '';
+    comment.likes = [];
+    comment.updatedAt = Date.now();
+    await comment.save();
+  } else {
+    await Comment.deleteOne({ _id: comment._id });
+    if (comment.parentId) {
+      const parent = await Comment.findByIdAndUpdate(comment.parentId, { $inc: { replyCount: -1 } }, { new: true });
+      if (parent && parent.deleted && parent.replyCount <= 0) {
+        await removeComment(parent);
+      }
+    }
+  }
+
+  if (wasVisible) {
+    await Story.updateOne({ _id: comment.storyId }, { $inc: { commentCount: -1 } });
+  }
+};
+
+// Delete every comment written by a user, e.g. when their account is removed
+const removeUserComments = async (userId) => {
+  const comments = await Comment.find({ userId, deleted: false }).sort({ createdAt: -1 });
+  for (const comment of comments) {
+    // Re-read the comment: removing a newer reply may already have changed it
+    const current = await Comment.findById(comment._id);
+    if (current && !current.deleted) {
+      await removeComment(current);
+    }
+  }
+};
+
+// Like or unlike a comment for one user in one conditional update, as setReaction
+// does for stories, so concurrent requests can't both count as the first like.
+// Resolves to { changed, comment } with the comment as it is now.
+const setCommentLike = async (commentId, clerkId, active) => {
+  const updated = await Comment.findOneAndUpdate(
+    active ? { _id: commentId, likes: { $ne: clerkId } } : { _id: commentId, likes: clerkId },
+    active ? { $push: { likes: clerkId } } : { $pull: { likes: clerkId } },
+    { new: true }
+  );
+  return updated ? { changed: true, comment: updated } : { changed: false, comment: await Comment.findById(commentId) };
+};
+
+module.exports = {
+  COMMENT_SORT_MODES,
+  formatComment,
+  setCommentLike,
+  listThreads,
+  removeComment,
+  removeUserComments,
+};
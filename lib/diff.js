@@ -0,0 +1,55 @@
+// Above this many table cells the texts are reported as fully replaced
+const MAX_TABLE_SIZE = 4000000;
+
+// Line-based diff of two texts using a longest-common-subsequence table.
+// Returns hunks of { type: 'equal' | 'added' | 'removed', lines }.
+const diffLines = (before, after) => {
+  const a = before.split('\n');
+  const b = after.split('\n');
+  const width = b.length + 1;
+  if ((a.length + 1) * width > MAX_TABLE_SIZE) {
+    return [
+      { type: 'removed', lines: a },
+      { type: 'added', lines: b },
+    ];
+  }
+  const lcs = new Uint32Array((a.length + 1) * width);
+
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i * width + j] =
+        a[i] === b[j] ? lcs[(i + 1) * width + j + 1] + 1 : Math.max(lcs[(i + 1) * width + j], lcs[i * width + j + 1]);
+    }
+  }
+
+  const hunks = [];
+  const push = (type, line) => {
+    const last = hunks[hunks.length - 1];
+    if (last && last.type === type) {
+      last.lines.push(line);
+    } else {
+      hunks.push({ type, lines: [line] });
+    }
+  };
+
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      push('equal', a[i]);
+      i++;
+      j++;
+    } else if (lcs[(i + 1) * width + j] >= lcs[i * width + j + 1]) {
+      push('removed', a[i++]);
+    } else {
+      push('added', b[j++]);
+    }
+  }
+  while (i < a.length) push('removed', a[i++]);
+  while (j < b.length) push('added', b[j++]);
+  return hunks;
+};
+
+module.exports = {
+  diffLines,
+};
@@ -0,0 +1,160 @@
+const Story = require('../models/Story');
+const DailyStat = require('../models/DailyStat');
+const { utcDay } = require('./analytics');
+const { publicStoryFilter } = require('./stories');
+const { slugify } = require('./slug');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 50;
+const DEFAULT_RELATED_LIMIT = 6;
+const MAX_RELATED_LIMIT = 20;
+
+// How far back each trending window looks, and how quickly activity fades within
+// it: activity loses half its weight every `halfLifeDays`
+const TRENDING_WINDOWS = {
+  '24h': { days: 1, halfLifeDays: 0.5 },
+  '7d': { days: 7, halfLifeDays: 2 },
+  '30d': { days: 30, halfLifeDays: 7 },
+};
+
+// What one of each kind of activity adds to a story's trending score
+const TRENDING_WEIGHTS = { views: 1, likes: 3, bookmarks: 4, comments: 5 };
+
+// Bonuses added to the text score of related stories in the same category, and
+// for each tag they share
+const SAME_CATEGORY_BONUS = 1;
+const SHARED_TAG_BONUS = 0.5;
+const MAX_KEYWORDS = 12;
+const STOP_WORDS = new Set(
+  (
+    'about after again also been before being could does from have having here into just like more most much ' +
+    'only other over same should some such than that their them then there these they this those through ' +
+    'very were what when where which while will with would your'
+  ).split(' ')
+);
+
+const parseLimit = (value, defaultLimit, maxLimit) => {
+  if (value === undefined) return defaultLimit;
+  const limit = parseInt(value, 10);
+  return Number.isInteger(limit) && limit >= 1 ? Math.min(limit, maxLimit) : null;
+};
+
+// Parse ?window, ?limit and ?category for the trending list. Returns { error } when invalid.
+const parseTrendingOptions = (query = {}) => {
+  const window = query.window || '7d';
+  if (!TRENDING_WINDOWS[window]) {
+    return { error: `Invalid window. Use one of: ${Object.keys(TRENDING_WINDOWS).join(', ')}.` };
+  }
+  const limit = parseLimit(query.limit, DEFAULT_LIMIT, MAX_LIMIT);
+  if (!limit) {
+    return { error: 'limit must be a positive integer.' };
+  }
+  return { window, limit, category: query.category ? slugify(query.category) : null };
+};
+
+const parseRelatedLimit = (value) => parseLimit(value, DEFAULT_RELATED_LIMIT, MAX_RELATED_LIMIT);
+
+// Ids and scores of the public stories with the most weighted activity in the
+// window, highest first. Activity is counted per UTC day, so the window reaches back
+// to the start of the day it begins on, and each day is weighted by its age.
+const trendingStoryIds = async ({ window, limit, category }, now = new Date()) => {
+  const { days, halfLifeDays } = TRENDING_WINDOWS[window];
+  const today = new Date(`${utcDay(now)}T00:00:00Z`);
+  const ageInDays = { $divide: [{ $subtract: [today, { $dateFromString: { dateString: '$day' } }] }, DAY_MS] };
+  const activity = {
+    $add: Object.entries(TRENDING_WEIGHTS).map(([field, weight]) => ({ $multiply: [`$${field}`, weight] })),
+  };
+  const filter = { ...publicStoryFilter(now), ...(category ? { category } : {}) };
+
+  const scores = await DailyStat.aggregate([
+    { $match: { day: { $gte: utcDay(new Date(now.getTime() - days * DAY_MS)) }, storyId: { $ne: null } } },
+    {
+      $group: {
+        _id: '$storyId',
+        score: { $sum: { $multiply: [activity, { $pow: [0.5, { $divide: [ageInDays, halfLifeDays] }] }] } },
+      },
+    },
+    { $match: { score: { $gt: 0 } } },
+    { $sort: { score: -1, _id: -1 } },
+    // Stories can have stats from before they were hidden or moved back to drafts
+    {
+      $lookup: {
+        from: Story.collection.name,
+        let: { storyId: '$_id' },
+        pipeline: [{ $match: { $expr: { $eq: ['$_id', '$$storyId'] } } }, { $match: filter }, { $project: { _id: 1 } }],
+        as: 'story',
+      },
+    },
+    { $match: { 'story.0': { $exists: true } } },
+    { $limit: limit },
+  ]);
+  return scores.map(({ _id, score }) => ({ storyId: _id, score }));
+};
+
+// The most frequent longer words of a text, for finding stories about the same things
+const keywords = (text) => {
+  const counts = new Map();
+  for (const word of text.toLowerCase().match(/[\p{L}\p{M}]{4,}/gu) || []) {
+    if (!STOP_WORDS.has(word)) counts.set(word, (counts.get(word) || 0) + 1);
+  }
+  return [...counts.entries()]
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, MAX_KEYWORDS)
+    .map(([word]) => word);
+};
+
+// Ids of public stories similar to `story`: those sharing the most words with its
+// title, tags and text, favouring its category and tags, then topped up with popular
+// stories from the category or with a shared tag. Other chapters of the story's own
+// series are left out.
+const relatedStoryIds = async (story, limit) => {
+  const filter = { ...publicStoryFilter(), _id: { $ne: story._id } };
+  if (story.seriesId) {
+    filter.seriesId = { $ne: story.seriesId };
+  }
+
+  const tags = story.tags || [];
+  const terms = [...new Set([...keywords(story.title), ...keywords(tags.join(' ')), ...keywords(story.content)])];
+  const similar = terms.length
+    ? await Story.aggregate([
+        { $match: { $text: { $search: terms.join(' ') }, ...filter } },
+        {
+          $addFields: {
+            relevance: {
+              $add: [
+                { $meta: 'textScore' },
+                { $cond: [{ $eq: ['$category', story.category] }, SAME_CATEGORY_BONUS, 0] },
+                { $multiply: [{ $size: { $setIntersection: [{ $ifNull: ['$tags', []] }, tags] } }, SHARED_TAG_BONUS] },
+              ],
+            },
+          },
+        },
+        { $sort: { relevance: -1, likeCount: -1 } },
+        { $limit: limit },
+        { $project: { _id: 1 } },
+      ])
+    : [];
+  const ids = similar.map(({ _id }) => _id);
+
+  if (ids.length < limit) {
+    const similarTopics = await Story.find({
+      ...filter,
+      _id: { $nin: [story._id, ...ids] },
+      $or: [{ category: story.category }, { tags: { $in: tags } }],
+    })
+      .sort({ likeCount: -1, _id: -1 })
+      .limit(limit - ids.length)
+      .select('_id');
+    ids.push(...similarTopics.map(({ _id }) => _id));
+  }
+  return ids;
+};
+
+module.exports = {
+  TRENDING_WINDOWS,
+  parseTrendingOptions,
+  parseRelatedLimit,
+  trendingStoryIds,
+  relatedStoryIds,
+};
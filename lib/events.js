@@ -0,0 +1,111 @@
+// In-process pub/sub for live updates streamed to clients over Server-Sent Events.
+// Each channel keeps a short replay buffer so reconnecting clients can resume from
+// their Last-Event-ID.
+
+const BUFFER_SIZE = 100;
+const CHANNEL_IDLE_MS = 10 * 60 * 1000;
+const HEARTBEAT_MS = 25 * 1000;
+const RETRY_MS = 5000;
+
+// Event ids are "<boot>-<sequence>" so ids handed out before a restart are recognised as stale
+const BOOT_ID = Date.now().toString(36);
+let sequence = 0;
+
+const channels = new Map();
+
+const getChannel = (name) => {
+  let channel = channels.get(name);
+  if (!channel) {
+    // floorSeq: events up to this sequence number are not (or no longer) buffered
+    channel = { events: [], listeners: new Set(), lastActivity: Date.now(), floorSeq: sequence };
+    channels.set(name, channel);
+  }
+  return channel;
+};
+
+// Drop buffers of channels nobody has listened to or published on for a while
+const pruneChannels = () => {
+  const cutoff = Date.now() - CHANNEL_IDLE_MS;
+  for (const [name, channel] of channels) {
+    if (!channel.listeners.size && channel.lastActivity < cutoff) {
+      channels.delete(name);
+    }
+  }
+};
+setInterval(pruneChannels, CHANNEL_IDLE_MS).unref();
+
+const publish = (name, type, data) => {
+  const channel = getChannel(name);
+  sequence += 1;
+  const event = { id: `${BOOT_ID}-${sequence}`, seq: sequence, type, data };
+  channel.events.push(event);
+  if (channel.events.length > BUFFER_SIZE) {
+    channel.floorSeq = channel.events.shift().seq;
+  }
+  channel.lastActivity = Date.now();
+  channel.listeners.forEach((listener) => listener(event));
+};
+
+const subscribe = (name, listener) => {
+  const channel = getChannel(name);
+  channel.listeners.add(listener);
+  return () => {
+    channel.listeners.delete(listener);
+    channel.lastActivity = Date.now();
+  };
+};
+
+// Buffered events after `lastEventId`. `complete` is false when the client has
+// missed events that are no longer buffered and should refetch instead.
+const eventsSince = (name, lastEventId) => {
+  const { events, floorSeq } = getChannel(name);
+  const [boot, seq] = String(lastEventId).split('-');
+  const lastSeq = Number(seq);
+  if (boot !== BOOT_ID || !Number.isInteger(lastSeq) || lastSeq < floorSeq || lastSeq > sequence) {
+    return { events: [], complete: false };
+  }
+  return { events: events.filter((event) => event.seq > lastSeq), complete: true };
+};
+
+const writeEvent = (res, { id, type, data }) => {
+  res.write(`id: ${id}\nevent: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+// Stream a channel to the client as text/event-stream until it disconnects
+const streamEvents = (req, res, name) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no', // Stop proxies such as nginx from buffering the stream
+  });
+  res.flushHeaders();
+  res.write(`retry: ${RETRY_MS}\n\n`);
+
+  const lastEventId = req.get('Last-Event-ID') || req.query.lastEventId;
+  if (lastEventId) {
+    const { events, complete } = eventsSince(name, lastEventId);
+    if (complete) {
+      events.forEach((event) => writeEvent(res, event));
+    } else {
+      res.write(`event: reset\ndata: {}\n\n`);
+    }
+  }
+
+  const unsubscribe = subscribe(name, (event) => writeEvent(res, event));
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_MS);
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+};
+
+const storyChannel = (storyId) => `story:${storyId}`;
+const STORIES_CHANNEL = 'stories';
+
+module.exports = {
+  STORIES_CHANNEL,
+  storyChannel,
+  publish,
+  streamEvents,
+};
@@ -0,0 +1,185 @@
+// Inspect uploaded files by their content: the real MIME type (so uploads can't
+// pass off one kind of file as another by lying about their Content-Type), image
+// dimensions and audio/video duration.
+
+const startsWith = (buffer, bytes, offset = 0) =>
+  buffer.length >= offset + bytes.length && bytes.every((byte, i) => buffer[offset + i] === byte);
+
+const ascii = (text) => [...text].map((c) => c.charCodeAt(0));
+
+const detectMimeType = (buffer) => {
+  if (!buffer || buffer.length < 4) return null;
+
+  if (startsWith(buffer, [0xff, 0xd8, 0xff])) return 'image/jpeg';
+  if (startsWith(buffer, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) return 'image/png';
+  if (startsWith(buffer, ascii('GIF87a')) || startsWith(buffer, ascii('GIF89a'))) return 'image/gif';
+  if (startsWith(buffer, ascii('RIFF'))) {
+    if (startsWith(buffer, ascii('WEBP'), 8)) return 'image/webp';
+    if (startsWith(buffer, ascii('WAVE'), 8)) return 'audio/wav';
+  }
+
+  if (startsWith(buffer, ascii('ID3'))) return 'audio/mpeg';
+  // MPEG audio frame sync: 11 set bits
+  if (buffer[0] === 0xff && (buffer[1] & 0xe0) === 0xe0) return 'audio/mpeg';
+  if (startsWith(buffer, ascii('OggS'))) return 'audio/ogg';
+  if (startsWith(buffer, ascii('fLaC'))) return 'audio/flac';
+
+  if (startsWith(buffer, ascii('ftyp'), 4)) {
+    const brand = buffer.toString('ascii', 8, 12);
+    if (brand === 'M4A ' || brand === 'M4B ') return 'audio/mp4';
+    if (brand === 'qt  ') return 'video/quicktime';
+    return 'video/mp4';
+  }
+  if (startsWith(buffer, [0x1a, 0x45, 0xdf, 0xa3])) return 'video/webm';
+
+  return null;
+};
+
+// Width and height of a JPEG, PNG, GIF or WebP image, or null
+const imageDimensions = (buffer, mimeType) => {
+  try {
+    if (mimeType === 'image/png') {
+      return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+    }
+    if (mimeType === 'image/gif') {
+      return { width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) };
+    }
+    if (mimeType === 'image/webp') {
+      const chunk = buffer.toString('ascii', 12, 16);
+      if (chunk === 'VP8 ') {
+        return { width: buffer.readUInt16LE(26) & 0x3fff, height: buffer.readUInt16LE(28) & 0x3fff };
+      }
+      if (chunk === 'VP8L') {
+        const bits = buffer.readUInt32LE(21);
+        return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+      }
+      if (chunk === 'VP8X') {
+        return { width: buffer.readUIntLE(24, 3) + 1, height: buffer.readUIntLE(27, 3) + 1 };
+      }
+    }
+    if (mimeType === 'image/jpeg') {
+      // Walk the segments up to the start-of-frame marker that holds the size
+      let offset = 2;
+      while (offset + 9 < buffer.length) {
+        if (buffer[offset] !== 0xff) return null;
+        const marker = buffer[offset + 1];
+        if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+          return { width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5) };
+        }
+        offset += 2 + buffer.readUInt16BE(offset + 2);
+      }
+    }
+  } catch (err) {
+    // Truncated or malformed header
+  }
+  return null;
+};
+
+// Duration in seconds from an MP4/QuickTime movie header (mvhd box inside moov)
+const mp4Duration = (buffer) => {
+  const findBox = (type, start, end) => {
+    let offset = start;
+    while (offset + 8 <= end) {
+      const size = buffer.readUInt32BE(offset);
+      if (buffer.toString('ascii', offset + 4, offset + 8) === type) return offset;
+      if (size < 8) return -1;
+      offset += size;
+    }
+    return -1;
+  };
+  const moov = findBox('moov', 0, buffer.length);
+  if (moov < 0) return null;
+  const mvhd = findBox('mvhd', moov + 8, moov + buffer.readUInt32BE(moov));
+  if (mvhd < 0) return null;
+  const version = buffer[mvhd + 8];
+  const timescale = buffer.readUInt32BE(mvhd + (version === 1 ? 28 : 20));
+  const duration =
+    version === 1 ? Number(buffer.readBigUInt64BE(mvhd + 32)) : buffer.readUInt32BE(mvhd + 24);
+  return timescale ? duration / timescale : null;
+};
+
+// Duration in seconds of a PCM WAV file: data size over byte rate
+const wavDuration = (buffer) => {
+  let offset = 12;
+  let byteRate = null;
+  while (offset + 8 <= buffer.length) {
+    const id = buffer.toString('ascii', offset, offset + 4);
+    const size = buffer.readUInt32LE(offset + 4);
+    if (id === 'fmt ') byteRate = buffer.readUInt32LE(offset + 16);
+    if (id === 'data') return byteRate ? size / byteRate : null;
+    offset += 8 + size + (size % 2);
+  }
+  return null;
+};
+
+// Duration in seconds of a FLAC file, from the STREAMINFO block
+const flacDuration = (buffer) => {
+  const sampleRate = buffer.readUIntBE(18, 3) >> 4;
+  const totalSamples = (buffer[21] & 0x0f) * 2 ** 32 + buffer.readUInt32BE(22);
+  return sampleRate ? totalSamples / sampleRate : null;
+};
+
+const MP3_BITRATES = {
+  mpeg1: [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320],
+  mpeg2: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160],
+};
+const MP3_SAMPLE_RATES = { 3: [44100, 48000, 32000], 2: [22050, 24000, 16000], 0: [11025, 12000, 8000] };
+
+// Duration in seconds of an MP3 (Layer III) file. Uses the Xing/Info frame count
+// when the encoder wrote one, otherwise estimates from the first frame's bitrate.
+const mp3Duration = (buffer) => {
+  let offset = 0;
+  if (buffer.toString('ascii', 0, 3) === 'ID3') {
+    const tagSize = ((buffer[6] & 0x7f) << 21) | ((buffer[7] & 0x7f) << 14) | ((buffer[8] & 0x7f) << 7) | (buffer[9] & 0x7f);
+    offset = 10 + tagSize + (buffer[5] & 0x10 ? 10 : 0);
+  }
+  while (offset + 4 < buffer.length && !(buffer[offset] === 0xff && (buffer[offset + 1] & 0xe0) === 0xe0)) {
+    offset += 1;
+  }
+  if (offset + 4 >= buffer.length) return null;
+
+  const version = (buffer[offset + 1] >> 3) & 3;
+  const layer = (buffer[offset + 1] >> 1) & 3;
+  if (layer !== 1 || version === 1) return null;
+  const isMpeg1 = version === 3;
+  const bitrate = (isMpeg1 ? MP3_BITRATES.mpeg1 : MP3_BITRATES.mpeg2)[buffer[offset + 2] >> 4];
+  const sampleRate = MP3_SAMPLE_RATES[version][(buffer[offset + 2] >> 2) & 3];
+  if (!bitrate || !sampleRate) return null;
+  const samplesPerFrame = isMpeg1 ? 1152 : 576;
+
+  const mono = buffer[offset + 3] >> 6 === 3;
+  const xing = offset + 4 + (isMpeg1 ? (mono ? 17 : 32) : mono ? 9 : 17);
+  const tag = buffer.toString('ascii', xing, xing + 4);
+  if ((tag === 'Xing' || tag === 'Info') && buffer.readUInt32BE(xing + 4) & 1) {
+    return (buffer.readUInt32BE(xing + 8) * samplesPerFrame) / sampleRate;
+  }
+  return ((buffer.length - offset) * 8) / (bitrate * 1000);
+};
+
+const DURATION_READERS = {
+  'audio/mpeg': mp3Duration,
+  'audio/mp4': mp4Duration,
+  'audio/wav': wavDuration,
+  'audio/flac': flacDuration,
+  'video/mp4': mp4Duration,
+  'video/quicktime': mp4Duration,
+};
+
+// Playing time in seconds of an audio or video file, or null for formats we
+// can't read it from (Ogg, WebM)
+const mediaDuration = (buffer, mimeType) => {
+  const reader = DURATION_READERS[mimeType];
+  if (!reader) return null;
+  try {
+    const duration = reader(buffer);
+    return Number.isFinite(duration) && duration > 0 ? Math.round(duration * 100) / 100 : null;
+  } catch (err) {
+    return null;
+  }
+};
+
+module.exports = {
+  detectMimeType,
+  imageDimensions,
+  mediaDuration,
+};
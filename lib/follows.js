@@ -0,0 +1,47 @@
+const User = require('../models/User');
+const Follow = require('../models/Follow');
+const { recordStat } = require('./analytics');
+
+// Follow a user. Idempotent: returns false when already following.
+const follow = async (follower, following) => {
+  try {
+    await Follow.create({ followerId: follower._id, followingId: following._id });
+  } catch (err) {
+    if (err.code === 11000) return false;
+    throw err;
+  }
+  await User.updateOne({ _id: follower._id }, { $inc: { followingCount: 1 } });
+  await User.updateOne({ _id: following._id }, { $inc: { followerCount: 1 } });
+  await recordStat({ authorId: following._id, field: 'followers' });
+  return true;
+};
+
+// Unfollow a user. Idempotent: returns false when not following.
+const unfollow = async (follower, following) => {
+  const { deletedCount } = await Follow.deleteOne({ followerId: follower._id, followingId: following._id });
+  if (!deletedCount) return false;
+  await User.updateOne({ _id: follower._id }, { $inc: { followingCount: -1 } });
+  await User.updateOne({ _id: following._id }, { $inc: { followerCount: -1 } });
+  return true;
+};
+
+const isFollowing = async (followerId, followingId) =>
+  Boolean(await Follow.exists({ followerId, followingId }));
+
+// Remove every follow to or from a user and fix the other side's counts
+const removeUserFollows = async (userId) => {
+  const [following, followers] = await Promise.all([
+    Follow.find({ followerId: userId }).distinct('followingId'),
+    Follow.find({ followingId: userId }).distinct('followerId'),
+  ]);
+  await User.updateMany({ _id: { $in: following } }, { $inc: { followerCount: -1 } });
+  await User.updateMany({ _id: { $in: followers } }, { $inc: { followingCount: -1 } });
+  await Follow.deleteMany({ $or: [{ followerId: userId }, { followingId: userId }] });
+};
+
+module.exports = {
+  follow,
+  unfollow,
+  isFollowing,
+  removeUserFollows,
+};
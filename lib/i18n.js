@@ -0,0 +1,59 @@
+// Languages stories can be written and translated in, as ISO 639-1 codes. The
+// first is the default for stories that don't say.
+const LANGUAGES = (process.env.STORY_LANGUAGES || 'en,hi,gu')
+  .split(',')
+  .map((code) => code.trim().toLowerCase())
+  .filter(Boolean);
+const DEFAULT_LANGUAGE = LANGUAGES[0];
+
+// Story fields a translation has its own version of
+const LOCALIZED_FIELDS = ['title', 'content', 'contentHtml', 'wordCount', 'readingTimeMinutes', 'excerpt'];
+
+const isSupportedLanguage = (code) => LANGUAGES.includes(code);
+
+// Primary language codes from an Accept-Language header, most preferred first,
+// e.g. "hi-IN,hi;q=0.9,en;q=0.8" -> ["hi", "en"]
+const parseAcceptLanguage = (header = '') =>
+  header
+    .split(',')
+    .map((part, index) => {
+      const [tag, ...params] = part.trim().split(';');
+      const q = params.map((param) => param.trim()).find((param) => param.startsWith('q='));
+      return { code: tag.split('-')[0].toLowerCase(), q: q ? Number(q.slice(2)) : 1, index };
+    })
+    .filter(({ code, q }) => code && code !== '*' && q > 0)
+    .sort((a, b) => b.q - a.q || a.index - b.index)
+    .map(({ code }) => code)
+    .filter((code, index, codes) => codes.indexOf(code) === index);
+
+// The reader's languages, most preferred first: ?lang= when it names a supported
+// language, else the Accept-Language header
+const preferredLanguages = (req) => {
+  const lang = typeof req.query.lang === 'string' ? req.query.lang.toLowerCase() : null;
+  return lang && isSupportedLanguage(lang) ? [lang] : parseAcceptLanguage(req.get('Accept-Language'));
+};
+
+// A story object in the first of `languages` it's available in, falling back to the
+// language it was written in. Adds `language` (the one served), `originalLanguage`
+// and `availableLanguages`, and drops the translations themselves.
+const localizeStory = (story, languages = []) => {
+  const { translations = [], ...obj } = story;
+  const originalLanguage = obj.language || DEFAULT_LANGUAGE;
+  const availableLanguages = [originalLanguage, ...translations.map((translation) => translation.language)];
+  const language = languages.find((code) => availableLanguages.includes(code)) || originalLanguage;
+  const translation = translations.find((candidate) => candidate.language === language);
+  const localized = translation
+    ? Object.fromEntries(
+        LOCALIZED_FIELDS.filter((field) => translation[field] !== undefined).map((field) => [field, translation[field]])
+      )
+    : {};
+  return { ...obj, ...localized, language, originalLanguage, availableLanguages };
+};
+
+module.exports = {
+  LANGUAGES,
+  DEFAULT_LANGUAGE,
+  isSupportedLanguage,
+  preferredLanguages,
+  localizeStory,
+};
@@ -0,0 +1,64 @@
+const User = require('../../models/User');
+const Story = require('../../models/Story');
+const Follow = require('../../models/Follow');
+const Notification = require('../../models/Notification');
+const { publicStoryFilter } = require('../stories');
+const { enqueueEmail } = require('./index');
+
+const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+const DIGEST_STORIES = 5;
+// Leave some slack so a digest run that starts a little earlier each week still goes out
+const MIN_DIGEST_INTERVAL_MS = 6 * 24 * 60 * 60 * 1000;
+
+// Queue this week's digest for every user who wants one and hasn't had one in the
+// last six days. Users whose followed authors published nothing are skipped.
+// Resolves to the number of digests queued.
+const enqueueWeeklyDigests = async (now = new Date()) => {
+  const since = new Date(now.getTime() - WEEK_MS);
+  const users = User.find({
+    email: { $ne: null },
+    'emailPreferences.digest': { $ne: false },
+    $or: [{ lastDigestAt: null }, { lastDigestAt: { $lt: new Date(now.getTime() - MIN_DIGEST_INTERVAL_MS) } }],
+  }).cursor();
+
+  let queued = 0;
+  for await (const user of users) {
+    const authorIds = await Follow.find({ followerId: user._id }).distinct('followingId');
+    if (!authorIds.length) continue;
+
+    const stories = await Story.find({
+      authorId: { $in: authorIds },
+      ...publicStoryFilter(),
+      publishedAt: { $gt: since, $lte: now },
+    })
+      .sort({ publishedAt: -1 })
+      .limit(DIGEST_STORIES)
+      .populate('authorId', 'username');
+    if (!stories.length) continue;
+
+    const unreadCount = await Notification.countDocuments({ recipientId: user._id, read: false });
+    const message = await enqueueEmail({
+      user,
+      template: 'weeklyDigest',
+      category: 'digest',
+      vars: {
+        username: user.username,
+        stories: stories.map((story) => ({
+          id: story._id.toString(),
+          title: story.title,
+          author: story.authorId ? story.authorId.username : story.author,
+        })),
+        unreadCount,
+      },
+    });
+    if (message) {
+      await User.updateOne({ _id: user._id }, { $set: { lastDigestAt: now } });
+      queued += 1;
+    }
+  }
+  return queued;
+};
+
+module.exports = {
+  enqueueWeeklyDigests,
+};
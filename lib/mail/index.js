@@ -0,0 +1,252 @@
+const crypto = require('crypto');
+const User = require('../../models/User');
+const EmailMessage = require('../../models/EmailMessage');
+const { createMailTransport } = require('./transports');
+const { isSecretTemplate, renderTemplate } = require('./templates');
+
+// Kinds of optional email a user can switch off. Transactional mail (OTP, welcome)
+// is always sent.
+const EMAIL_CATEGORIES = ['comments', 'digest'];
+
+const MAIL_FROM = process.env.MAIL_FROM || process.env.SMTP_USER;
+const APP_URL = process.env.APP_URL || 'http://localhost:5173';
+const API_URL = process.env.API_URL || '';
+
+const WORKER_INTERVAL_MS = 15 * 1000;
+const BATCH_SIZE = 20;
+// Retry after 1, 2, 4, 8... minutes, at most 6 hours apart
+const BASE_BACKOFF_MS = 60 * 1000;
+const MAX_BACKOFF_MS = 6 * 60 * 60 * 1000;
+// Messages claimed this long ago by a worker that died are picked up again
+const STALE_LOCK_MS = 10 * 60 * 1000;
+
+let transport = null;
+const getTransport = () => {
+  if (!transport) transport = createMailTransport();
+  return transport;
+};
+
+// The user's unsubscribe token, created the first time it is needed
+const ensureUnsubscribeToken = async (user) => {
+  if (user.unsubscribeToken) return user.unsubscribeToken;
+  const token = crypto.randomBytes(24).toString('hex');
+  await User.updateOne({ _id: user._id, unsubscribeToken: null }, { $set: { unsubscribeToken: token } });
+  const { unsubscribeToken } = await User.findById(user._id).select('unsubscribeToken');
+  user.unsubscribeToken = unsubscribeToken;
+  return unsubscribeToken;
+};
+
+const wantsEmail = (user, category) => !category || !user.emailPreferences || user.emailPreferences[category] !== false;
+
+// What the delivery log keeps of the body of a secret email
+const REDACTED_BODY = '[Not stored: this email contained a one-time code]';
+
+// Render a template into the fields of an EmailMessage. Pass `user` to send to a
+// user's address (honouring their preferences for `category`), or `to` for an address
+// without an account. Resolves to null if nothing should be sent.
+const prepareEmail = async ({ user = null, to = null, template, vars = {}, category = null }) => {
+  const address = user ? user.email : to;
+  if (!address || (user && !wantsEmail(user, category))) return null;
+
+  const headers = {};
+  const templateVars = { ...vars };
+  if (user && category) {
+    const token = await ensureUnsubscribeToken(user);
+    const query = `token=${token}&category=${category}`;
+    templateVars.unsubscribeUrl = `${APP_URL}/unsubscribe?${query}`;
+    if (API_URL) {
+      // One-click unsubscribe from the mail client (RFC 8058)
+      headers['List-Unsubscribe'] = `<${API_URL}/api/email/unsubscribe?${query}>`;
+      headers['List-Unsubscribe-Post'] = 'List-Unsubscribe=One-Click';
+    }
+  }
+
+  return {
+    to: address,
+    userId: user ? user._id : null,
+    template,
+    category,
+    ...renderTemplate(template, templateVars),
+    headers,
+  };
+};
+
+// Render a template and queue it for sending. Resolves to the queued message, or
+// null if nothing is sent. Secret templates can't be queued: use sendEmailNow.
+const enqueueEmail = async ({ maxAttempts, ...options }) => {
+  if (isSecretTemplate(options.template)) {
+    throw new Error(`The ${options.template} email must be sent with sendEmailNow`);
+  }
+  const email = await prepareEmail(options);
+  if (!email) return null;
+  return EmailMessage.create({ ...email, ...(maxAttempts && { maxAttempts }) });
+};
+
+// Send one claimed message and record the outcome. Failures are retried with
+// exponential backoff until maxAttempts is reached.
+const deliver = async (message) => {
+  const attempts = message.attempts + 1;
+  try {
+    const info = await getTransport().send({
+      from: MAIL_FROM,
+      to: message.to,
+      subject: message.subject,
+      html: message.html,
+      text: message.text,
+      headers: message.headers,
+    });
+    return EmailMessage.findByIdAndUpdate(
+      message._id,
+      {
+        $set: {
+          status: 'sent',
+          attempts,
+          sentAt: Date.now(),
+          providerMessageId: info.messageId || null,
+          lockedAt: null,
+          lastError: null,
+          updatedAt: Date.now(),
+        },
+      },
+      { new: true }
+    );
+  } catch (err) {
+    const failed = attempts >= message.maxAttempts;
+    const backoff = Math.min(BASE_BACKOFF_MS * 2 ** (attempts - 1), MAX_BACKOFF_MS);
+    console.error(`Error sending email ${message._id} (attempt ${attempts}):`, err.message);
+    return EmailMessage.findByIdAndUpdate(
+      message._id,
+      {
+        $set: {
+          status: failed ? 'failed' : 'queued',
+          attempts,
+          lastError: err.message,
+          nextAttemptAt: failed ? message.nextAttemptAt : new Date(Date.now() + backoff),
+          lockedAt: null,
+          updatedAt: Date.now(),
+        },
+      },
+      { new: true }
+    );
+  }
+};
+
+// Claim a queued message so no other worker sends it too
+const claim = (filter) =>
+  EmailMessage.findOneAndUpdate(
+    { ...filter, status: 'queued' },
+    { $set: { status: 'sending', lockedAt: Date.now() } },
+    { sort: { nextAttemptAt: 1 }, new: true }
+  );
+
+// Send a secret email through the transport once, without queueing it. Only the
+// outcome and a redacted copy go in the delivery log.
+const sendSecretEmail = async (options) => {
+  const email = await prepareEmail(options);
+  if (!email) return null;
+  const outcome = { status: 'sent', attempts: 1, maxAttempts: 1, lastError: null, providerMessageId: null };
+  try {
+    const info = await getTransport().send({
+      from: MAIL_FROM,
+      to: email.to,
+      subject: email.subject,
+      html: email.html,
+      text: email.text,
+      headers: email.headers,
+    });
+    Object.assign(outcome, { providerMessageId: info.messageId || null, sentAt: Date.now() });
+  } catch (err) {
+    console.error(`Error sending ${email.template} email:`, err.message);
+    Object.assign(outcome, { status: 'failed', lastError: err.message });
+  }
+  return EmailMessage.create({ ...email, html: REDACTED_BODY, text: REDACTED_BODY, ...outcome });
+};
+
+// Queue an email and try to send it straight away, for mail the user is waiting
+// on. Resolves to the message with its delivery status, or null if nothing is sent.
+const sendEmailNow = async (options) => {
+  if (isSecretTemplate(options.template)) return sendSecretEmail(options);
+  const message = await enqueueEmail(options);
+  if (!message) return null;
+  const claimed = await claim({ _id: message._id });
+  return claimed ? deliver(claimed) : message;
+};
+
+// Send the messages that are due, up to one batch
+const processQueue = async () => {
+  await EmailMessage.updateMany(
+    { status: 'sending', lockedAt: { $lt: new Date(Date.now() - STALE_LOCK_MS) } },
+    { $set: { status: 'queued', lockedAt: null } }
+  );
+  for (let i = 0; i < BATCH_SIZE; i += 1) {
+    const message = await claim({ nextAttemptAt: { $lte: new Date() } });
+    if (!message) break;
+    await deliver(message);
+  }
+};
+
+// Welcome a newly registered user. Like the emails below, failures are logged
+// rather than thrown so they never break the action that triggered them.
+const emailWelcome = async (user) => {
+  try {
+    await enqueueEmail({ user, template: 'welcome', vars: { username: user.username } });
+  } catch (err) {
+    console.error('Error queueing welcome email:', err);
+  }
+};
+
+// Tell a story's author about a new comment
+const emailNewComment = async (story, comment, commenter) => {
+  try {
+    const author = await User.findById(story.authorId);
+    if (!author) return;
+    await enqueueEmail({
+      user: author,
+      template: 'newComment',
+      category: 'comments',
+      vars: {
+        commenter: commenter.username,
+        storyTitle: story.title,
+        storyId: story._id.toString(),
+        comment: comment.content,
+      },
+    });
+  } catch (err) {
+    console.error('Error queueing comment email:', err);
+  }
+};
+
+// Confirm that the user's account is scheduled for deletion, and how to keep it
+const emailAccountDeletionScheduled = async (user) => {
+  try {
+    await enqueueEmail({
+      user,
+      template: 'accountDeletionScheduled',
+      vars: { username: user.username, deletionDate: user.deletionScheduledAt.toUTCString() },
+    });
+  } catch (err) {
+    console.error('Error queueing account deletion email:', err);
+  }
+};
+
+const startMailWorker = () => {
+  const tick = async () => {
+    try {
+      await processQueue();
+    } catch (err) {
+      console.error('Error processing email queue:', err);
+    }
+  };
+  return setInterval(tick, WORKER_INTERVAL_MS).unref();
+};
+
+module.exports = {
+  EMAIL_CATEGORIES,
+  enqueueEmail,
+  sendEmailNow,
+  emailWelcome,
+  emailNewComment,
+  emailAccountDeletionScheduled,
+  processQueue,
+  startMailWorker,
+};
@@ -0,0 +1,134 @@
+const APP_NAME = process.env.APP_NAME || 'Hindu Stories';
+const APP_URL = process.env.APP_URL || 'http://localhost:5173';
+
+const escapeHtml = (value) =>
+  String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+const storyUrl = (storyId) => `${APP_URL}/stories/${storyId}`;
+
+// Shared frame around every HTML email. `body` is already-escaped HTML.
+const htmlLayout = (body, { unsubscribeUrl }) => `
+  <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; background-color: #f4f4f4;">
+    ${body}
+    <p>Best regards,<br>The ${escapeHtml(APP_NAME)} team</p>
+    ${
+      unsubscribeUrl
+        ? `<p style="font-size: 12px; color: #777;"><a href="${escapeHtml(unsubscribeUrl)}">Unsubscribe</a> from these emails.</p>`
+        : ''
+    }
+  </div>
+`;
+
+const textLayout = (body, { unsubscribeUrl }) =>
+  [body, `Best regards,\nThe ${APP_NAME} team`, unsubscribeUrl ? `Unsubscribe: ${unsubscribeUrl}` : '']
+    .filter(Boolean)
+    .join('\n\n');
+
+// Each template renders its subject, HTML body and plain-text body from `vars`.
+// Templates marked `secret` carry a code that must never be stored.
+const TEMPLATES = {
+  otp: {
+    secret: true,
+    subject: () => 'Your OTP for Account Verification',
+    html: ({ code, minutes }) => `
+      <h2 style="color: #FF9933;">Account Verification</h2>
+      <p>Please use the following One-Time Password (OTP) to verify your account:</p>
+      <h3 style="color: #138808; font-weight: bold;">${escapeHtml(code)}</h3>
+      <p>This OTP is valid for ${escapeHtml(minutes)} minutes. Please do not share it with anyone.</p>`,
+    text: ({ code, minutes }) =>
+      `Your one-time password is ${code}.\n\nIt is valid for ${minutes} minutes. Please do not share it with anyone.`,
+  },
+
+  passwordReset: {
+    secret: true,
+    subject: () => 'Your password reset code',
+    html: ({ code, minutes }) => `
+      <h2 style="color: #FF9933;">Reset your password</h2>
+      <p>Please use the following code to reset your password:</p>
+      <h3 style="color: #138808; font-weight: bold;">${escapeHtml(code)}</h3>
+      <p>This code is valid for ${escapeHtml(minutes)} minutes. If you didn't ask to reset your password, you can ignore this email.</p>`,
+    text: ({ code, minutes }) =>
+      `Your password reset code is ${code}.\n\nIt is valid for ${minutes} minutes. If you didn't ask to reset your password, you can ignore this email.`,
+  },
+
+  welcome: {
+    subject: () => `Welcome to ${APP_NAME}`,
+    html: ({ username }) => `
+      <h2 style="color: #FF9933;">Welcome, ${escapeHtml(username)}!</h2>
+      <p>Thank you for joining ${escapeHtml(APP_NAME)}. Start reading, follow authors you enjoy, or share a story of your own.</p>
+      <p><a href="${escapeHtml(APP_URL)}">Explore stories</a></p>`,
+    text: ({ username }) =>
+      `Welcome, ${username}!\n\nThank you for joining ${APP_NAME}. Start reading, follow authors you enjoy, or share a story of your own: ${APP_URL}`,
+  },
+
+  newComment: {
+    subject: ({ commenter, storyTitle }) => `${commenter} commented on "${storyTitle}"`,
+    html: ({ commenter, storyTitle, storyId, comment }) => `
+      <h2 style="color: #FF9933;">New comment on your story</h2>
+      <p>${escapeHtml(commenter)} commented on <a href="${escapeHtml(storyUrl(storyId))}">${escapeHtml(storyTitle)}</a>:</p>
+      <blockquote style="border-left: 3px solid #138808; margin: 0; padding-left: 12px;">${escapeHtml(comment)}</blockquote>`,
+    text: ({ commenter, storyTitle, storyId, comment }) =>
+      `${commenter} commented on "${storyTitle}":\n\n${comment}\n\nReply: ${storyUrl(storyId)}`,
+  },
+
+  accountDeletionScheduled: {
+    subject: () => `Your ${APP_NAME} account will be deleted`,
+    html: ({ username, deletionDate }) => `
+      <h2 style="color: #FF9933;">Your account will be deleted</h2>
+      <p>Hi ${escapeHtml(username)}, as you asked, your account and all of your stories will be deleted on ${escapeHtml(deletionDate)}.</p>
+      <p>Changed your mind? <a href="${escapeHtml(APP_URL)}">Sign in</a> and cancel the deletion before then.</p>`,
+    text: ({ username, deletionDate }) =>
+      `Hi ${username}, as you asked, your account and all of your stories will be deleted on ${deletionDate}.\n\nChanged your mind? Sign in and cancel the deletion before then: ${APP_URL}`,
+  },
+
+  weeklyDigest: {
+    subject: () => `Your week on ${APP_NAME}`,
+    html: ({ username, stories, unreadCount }) => `
+      <h2 style="color: #FF9933;">Your week on ${escapeHtml(APP_NAME)}</h2>
+      <p>Hi ${escapeHtml(username)}, here is what authors you follow published this week:</p>
+      <ul>
+        ${stories
+          .map(
+            (story) =>
+              `<li><a href="${escapeHtml(storyUrl(story.id))}">${escapeHtml(story.title)}</a> by ${escapeHtml(story.author)}</li>`
+          )
+          .join('\n        ')}
+      </ul>
+      ${unreadCount ? `<p>You also have ${escapeHtml(unreadCount)} unread notifications.</p>` : ''}`,
+    text: ({ username, stories, unreadCount }) =>
+      [
+        `Hi ${username}, here is what authors you follow published this week:`,
+        stories.map((story) => `- ${story.title} by ${story.author}: ${storyUrl(story.id)}`).join('\n'),
+        unreadCount ? `You also have ${unreadCount} unread notifications.` : '',
+      ]
+        .filter(Boolean)
+        .join('\n\n'),
+  },
+};
+
+const isSecretTemplate = (name) => Boolean(TEMPLATES[name] && TEMPLATES[name].secret);
+
+// Render a named template. `vars.unsubscribeUrl` adds an unsubscribe footer.
+const renderTemplate = (name, vars = {}) => {
+  const template = TEMPLATES[name];
+  if (!template) {
+    throw new Error(`Unknown email template: ${name}`);
+  }
+  return {
+    subject: template.subject(vars),
+    html: htmlLayout(template.html(vars), vars),
+    text: textLayout(template.text(vars), vars),
+  };
+};
+
+module.exports = {
+  APP_NAME,
+  TEMPLATES,
+  isSecretTemplate,
+  renderTemplate,
+};
@@ -0,0 +1,60 @@
+const fs = require('fs/promises');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+// Every transport implements send(message) -> Promise<{ messageId }>, where
+// message has nodemailer's fields (from, to, subject, html, text, headers).
+const createMailTransport = (driver = process.env.MAIL_TRANSPORT || 'smtp') => {
+  switch (driver) {
+    case 'smtp': {
+      const transporter = nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port: Number(process.env.SMTP_PORT) || 587,
+        secure: process.env.SMTP_SECURE === 'true', // true for port 465, STARTTLS otherwise
+        auth: {
+          user: process.env.SMTP_USER,
+          pass: process.env.SMTP_PASS,
+        },
+      });
+      return { name: 'smtp', send: (message) => transporter.sendMail(message) };
+    }
+    case 'json': {
+      // Keeps sent messages in memory, for tests
+      const transporter = nodemailer.createTransport({ jsonTransport: true });
+      const sent = [];
+      return {
+        name: 'json',
+        sent,
+        send: async (message) => {
+          const info = await transporter.sendMail(message);
+          sent.push(JSON.parse(info.message));
+          return info;
+        },
+      };
+    }
+    case 'file': {
+      // Writes each message as a JSON file, for development
+      const transporter = nodemailer.createTransport({ jsonTransport: true });
+      const dir = path.resolve(process.env.MAIL_DIR || 'mail-outbox');
+      return {
+        name: 'file',
+        dir,
+        send: async (message) => {
+          const info = await transporter.sendMail(message);
+          await fs.mkdir(dir, { recursive: true });
+          await fs.writeFile(
+            path.join(dir, `${Date.now()}-${info.messageId.replace(/[^\w.-]/g, '')}.json`),
+            info.message
+          );
+          return info;
+        },
+      };
+    }
+    default:
+      throw new Error(`Unknown MAIL_TRANSPORT: ${driver}`);
+  }
+};
+
+module.exports = {
+  createMailTransport,
+};
@@ -0,0 +1,104 @@
+const { Marked } = require('marked');
+const sanitizeHtml = require('sanitize-html');
+
+const WORDS_PER_MINUTE = 200;
+const EXCERPT_LENGTH = 280;
+
+// Single line breaks are kept, so verses and poems keep their lines
+const marked = new Marked({ gfm: true, breaks: true });
+
+// What rendered story content may contain. Anything else, such as scripts, styles,
+// event handlers or javascript: links, is stripped.
+const SANITIZE_OPTIONS = {
+  allowedTags: [
+    'h1',
+    'h2',
+    'h3',
+    'h4',
+    'h5',
+    'h6',
+    'p',
+    'br',
+    'hr',
+    'blockquote',
+    'em',
+    'strong',
+    'del',
+    'sup',
+    'sub',
+    'ul',
+    'ol',
+    'li',
+    'pre',
+    'code',
+    'a',
+    'img',
+    'table',
+    'thead',
+    'tbody',
+    'tr',
+    'th',
+    'td',
+  ],
+  allowedAttributes: {
+    a: ['href', 'title', 'rel'],
+    img: ['src', 'alt', 'title'],
+    ol: ['start'],
+    th: ['align'],
+    td: ['align'],
+  },
+  allowedClasses: { code: ['language-*'] },
+  allowedSchemes: ['http', 'https', 'mailto'],
+  allowedSchemesByTag: { img: ['http', 'https'] },
+  allowProtocolRelative: false,
+  transformTags: {
+    a: sanitizeHtml.simpleTransform('a', { rel: 'nofollow ugc noopener noreferrer' }),
+  },
+};
+
+// Markdown to HTML that is safe to insert into a page as is
+const renderMarkdown = (source) => sanitizeHtml(marked.parse(String(source || '')), SANITIZE_OPTIONS);
+
+// The text of some Markdown without any formatting, on one line
+const markdownToText = (source) =>
+  sanitizeHtml(marked.parse(String(source || '')).replace(/<\/(p|h[1-6]|li|blockquote|pre|tr)>|<br\s*\/?>/g, ' $&'), {
+    allowedTags: [],
+    allowedAttributes: {},
+  })
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, '&')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+// Words in any script, keeping contractions and hyphenated words whole
+const countWords = (text) => (text.match(/[\p{L}\p{M}\p{N}]+(?:['’-][\p{L}\p{M}\p{N}]+)*/gu) || []).length;
+
+// The start of a text, cut at a word boundary
+const excerptOf = (text, length = EXCERPT_LENGTH) => {
+  if (text.length <= length) return text;
+  const cut = text.slice(0, length);
+  const lastSpace = cut.lastIndexOf(' ');
+  return `${(lastSpace > length / 2 ? cut.slice(0, lastSpace) : cut).replace(/[\s.,;:!?-]+$/, '')}…`;
+};
+
+// The story fields derived from its Markdown content
+const renderStoryContent = (content) => {
+  const text = markdownToText(content);
+  const wordCount = countWords(text);
+  return {
+    contentHtml: renderMarkdown(content),
+    wordCount,
+    readingTimeMinutes: wordCount ? Math.ceil(wordCount / WORDS_PER_MINUTE) : 0,
+    excerpt: excerptOf(text),
+  };
+};
+
+module.exports = {
+  renderMarkdown,
+  markdownToText,
+  renderStoryContent,
+};
@@ -0,0 +1,248 @@
+const multer = require('multer');
+const { storage } = require('./storage');
+const { detectMimeType, imageDimensions, mediaDuration } = require('./fileType');
+
+const MB = 1024 * 1024;
+
+// Size and type limits per kind of media. Types are checked against the file's
+// content, not the Content-Type the client declared.
+const MEDIA_RULES = {
+  image: { maxSize: 5 * MB, types: ['image/jpeg', 'image/png', 'image/gif', 'image/webp'] },
+  audio: { maxSize: 25 * MB, types: ['audio/mpeg', 'audio/mp4', 'audio/ogg', 'audio/wav', 'audio/flac'] },
+  video: { maxSize: 100 * MB, types: ['video/mp4', 'video/webm', 'video/quicktime'] },
+};
+
+// Where each story upload field is stored, and the story fields it fills in
+// (`metaFields` maps stored-file metadata to story fields)
+const STORY_MEDIA = {
+  image: {
+    folder: 'story-images',
+    urlField: 'imageUrl',
+    fileIdField: 'imageFileId',
+    metaFields: { width: 'imageWidth', height: 'imageHeight' },
+  },
+  audio: {
+    folder: 'story-audio',
+    urlField: 'audioUrl',
+    fileIdField: 'audioFileId',
+    metaFields: { duration: 'audioDuration' },
+  },
+  video: {
+    folder: 'story-videos',
+    urlField: 'videoUrl',
+    fileIdField: 'videoFileId',
+    metaFields: { duration: 'videoDuration' },
+  },
+};
+
+// Sizes served to clients in place of the original image
+const IMAGE_VARIANTS = {
+  thumbnail: { width: 200, height: 200, fit: 'cover' },
+  card: { width: 640, fit: 'inside' },
+  full: { width: 1600, fit: 'inside' },
+};
+// A tiny, blurred version to show while the real image loads
+const PLACEHOLDER = { width: 24, quality: 30, blur: 10, fit: 'inside' };
+
+const checkFile = (field, file, rule) => {
+  if (file.size > rule.maxSize) {
+    return { status: 413, error: `${field} must be at most ${rule.maxSize / MB} MB.` };
+  }
+  const mimeType = detectMimeType(file.buffer);
+  if (!rule.types.includes(mimeType)) {
+    return { status: 415, error: `${field} must be one of: ${rule.types.join(', ')}.` };
+  }
+  file.mimetype = mimeType;
+  return null;
+};
+
+// Multer storage keeping files in memory, like multer.memoryStorage(), but with a
+// size limit per field (`maxSizes`, by field name). A file over its limit is
+// rejected while it is still arriving, so nothing larger than the limit is buffered.
+const limitedMemoryStorage = (maxSizes) => ({
+  _handleFile: (req, file, cb) => {
+    const chunks = [];
+    let size = 0;
+    let done = false;
+    const finish = (err, info) => {
+      if (done) return;
+      done = true;
+      cb(err, info);
+    };
+
+    file.stream.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > maxSizes[file.fieldname]) {
+        chunks.length = 0;
+        file.stream.removeAllListeners('data');
+        file.stream.resume(); // Discard the rest
+        return finish(new multer.MulterError('LIMIT_FILE_SIZE', file.fieldname));
+      }
+      chunks.push(chunk);
+    });
+    file.stream.on('error', finish);
+    file.stream.on('end', () => {
+      const buffer = Buffer.concat(chunks);
+      finish(null, { buffer, size: buffer.length });
+    });
+  },
+  _removeFile: (req, file, cb) => {
+    delete file.buffer;
+    cb(null);
+  },
+});
+
+// Middleware accepting one file for each of `fields`, a map of form field name to
+// media kind (e.g. { cover: 'image' }). Files end up in req.files[field][0].
+const uploadMedia = (fields) => {
+  const names = Object.keys(fields);
+  const handler = multer({
+    storage: limitedMemoryStorage(Object.fromEntries(names.map((name) => [name, MEDIA_RULES[fields[name]].maxSize]))),
+    limits: {
+      files: names.length,
+      fileSize: Math.max(...names.map((name) => MEDIA_RULES[fields[name]].maxSize)),
+    },
+  }).fields(names.map((name) => ({ name, maxCount: 1 })));
+
+  return (req, res, next) => {
+    handler(req, res, (err) => {
+      if (err instanceof multer.MulterError) {
+        const status = err.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+        return res.status(status).json({ error: `Invalid upload: ${err.message}${err.field ? ` (${err.field})` : ''}` });
+      }
+      if (err) {
+        return next(err);
+      }
+      for (const [name, files] of Object.entries(req.files || {})) {
+        const problem = checkFile(name, files[0], MEDIA_RULES[fields[name]]);
+        if (problem) {
+          return res.status(problem.status).json({ error: problem.error });
+        }
+      }
+      next();
+    });
+  };
+};
+
+// Store an uploaded file in the configured backend. Resolves to { url, fileId,
+// width, height, duration }; whatever the backend doesn't report is read from the file.
+const storeFile = async (file, folder) => {
+  const stored = await storage.upload(file, { folder });
+  const dimensions = file.mimetype.startsWith('image/') ? imageDimensions(file.buffer, file.mimetype) : null;
+  return {
+    url: stored.url,
+    fileId: stored.fileId,
+    width: stored.width || (dimensions && dimensions.width) || null,
+    height: stored.height || (dimensions && dimensions.height) || null,
+    duration: stored.duration || mediaDuration(file.buffer, file.mimetype),
+  };
+};
+
+// Remove stored files. Failures are logged, not thrown: the database change that
+// orphaned the files has already happened.
+const removeFiles = async (fileIds) => {
+  for (const fileId of fileIds.filter(Boolean)) {
+    try {
+      await storage.remove(fileId);
+    } catch (err) {
+      console.error(`Error removing media file ${fileId}:`, err);
+    }
+  }
+};
+
+// Upload a story's new media and point the story at it. Returns the fileIds just
+// uploaded (to undo a failed save) and those they replace (to remove after saving).
+const setStoryMedia = async (story, files = {}) => {
+  const uploaded = [];
+  const replaced = [];
+  for (const [field, { folder, urlField, fileIdField, metaFields }] of Object.entries(STORY_MEDIA)) {
+    if (!files[field]) continue;
+    const stored = await storeFile(files[field][0], folder);
+    uploaded.push(stored.fileId);
+    replaced.push(story[fileIdField]);
+    story[urlField] = stored.url;
+    story[fileIdField] = stored.fileId;
+    for (const [key, storyField] of Object.entries(metaFields)) {
+      story[storyField] = stored[key];
+    }
+  }
+  return { uploaded, replaced: replaced.filter(Boolean) };
+};
+
+const storyFileIds = (story) => Object.values(STORY_MEDIA).map(({ fileIdField }) => story[fileIdField]);
+
+// Responsive variants of an image for API responses, or null without an image
+const presentImage = (url, width = null, height = null) => {
+  if (!url) return null;
+  const variants = Object.fromEntries(
+    Object.entries(IMAGE_VARIANTS).map(([name, options]) => [name, storage.transformUrl(url, options)])
+  );
+  const placeholder = storage.transformUrl(url, PLACEHOLDER);
+  return { url, width, height, ...variants, placeholder: placeholder === url ? null : placeholder };
+};
+
+// Story media for API responses. Audio uses the story image as its poster.
+const presentStoryMedia = (story) => {
+  const image = presentImage(story.imageUrl, story.imageWidth, story.imageHeight);
+  return {
+    image,
+    audio: story.audioUrl
+      ? { url: story.audioUrl, duration: story.audioDuration || null, posterUrl: image ? image.card : null }
+      : null,
+    video: story.videoUrl
+      ? {
+          url: story.videoUrl,
+          duration: story.videoDuration || null,
+          posterUrl: storage.posterUrl(story.videoUrl, IMAGE_VARIANTS.card) || (image ? image.card : null),
+        }
+      : null,
+  };
+};
+
+// The fields of a user anyone may see
+const PUBLIC_USER_FIELDS = [
+  '_id',
+  'clerkId',
+  'username',
+  'bio',
+  'imageUrl',
+  'followerCount',
+  'followingCount',
+  'createdAt',
+];
+
+// Fields never sent to anyone, not even the user themselves
+const SECRET_USER_FIELDS = ['passwordHash', 'tokenVersion', 'unsubscribeToken'];
+
+const userObject = (user) => (typeof user.toObject === 'function' ? user.toObject() : user);
+
+// A user's public profile for API responses, with their profile image variants
+const presentUser = (user) => {
+  const obj = userObject(user);
+  return {
+    ...Object.fromEntries(PUBLIC_USER_FIELDS.filter((field) => field in obj).map((field) => [field, obj[field]])),
+    image: presentImage(obj.imageUrl, obj.imageWidth, obj.imageHeight),
+  };
+};
+
+// The signed-in user's own account, with their email, settings and role, for
+// responses only they receive
+const presentOwnUser = (user) => {
+  const obj = userObject(user);
+  for (const field of SECRET_USER_FIELDS) delete obj[field];
+  return { ...obj, image: presentImage(obj.imageUrl, obj.imageWidth, obj.imageHeight) };
+};
+
+module.exports = {
+  MEDIA_RULES,
+  STORY_MEDIA,
+  uploadMedia,
+  storeFile,
+  removeFiles,
+  setStoryMedia,
+  storyFileIds,
+  presentImage,
+  presentStoryMedia,
+  presentUser,
+  presentOwnUser,
+};
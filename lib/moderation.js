@@ -0,0 +1,94 @@
+const Story = require('../models/Story');
+const Comment = require('../models/Comment');
+const Report = require('../models/Report');
+const ModerationAction = require('../models/ModerationAction');
+const { deleteStory } = require('./stories');
+const { removeComment } = require('./comments');
+
+const REPORT_REASONS = Report.schema.path('reason').enumValues;
+const TARGET_TYPES = ['story', 'comment'];
+
+const MAX_DETAILS_LENGTH = 1000;
+
+// Validate a report request body; returns { error } when invalid
+const parseReport = ({ reason, details = '' }) => {
+  if (!REPORT_REASONS.includes(reason)) {
+    return { error: `Invalid reason. Use one of: ${REPORT_REASONS.join(', ')}.` };
+  }
+  if (typeof details !== 'string' || details.length > MAX_DETAILS_LENGTH) {
+    return { error: `details must be text of at most ${MAX_DETAILS_LENGTH} characters.` };
+  }
+  if (reason === 'other' && !details.trim()) {
+    return { error: 'Please describe the problem when the reason is "other".' };
+  }
+  return { reason, details: details.trim() };
+};
+
+const loadTarget = (targetType, targetId) =>
+  targetType === 'story' ? Story.findById(targetId) : Comment.findById(targetId);
+
+// Close every open report on a target and record what the moderator did
+const recordAction = async (moderator, action, targetType, target, note = '', details = null) => {
+  const resolution = action === 'dismiss' ? 'dismissed' : 'actioned';
+  const { modifiedCount } =
+    action === 'restore'
+      ? { modifiedCount: 0 }
+      : await Report.updateMany(
+          { targetId: target._id, status: 'open' },
+          { $set: { status: resolution, resolvedBy: moderator._id, resolvedAt: Date.now() } }
+        );
+  return ModerationAction.create({
+    moderatorId: moderator._id,
+    action,
+    targetType,
+    targetId: target._id,
+    note,
+    reportCount: modifiedCount,
+    details,
+  });
+};
+
+const setCommentHidden = async (comment, hidden) => {
+  if (comment.hidden === hidden) return;
+  comment.hidden = hidden;
+  comment.updatedAt = Date.now();
+  await comment.save();
+  if (!comment.deleted) {
+    await Story.updateOne({ _id: comment.storyId }, { $inc: { commentCount: hidden ? -1 : 1 } });
+  }
+};
+
+// Apply a moderation action to a story or comment. Returns the logged action.
+const moderate = async (moderator, action, targetType, target, note = '') => {
+  if (action === 'hide' || action === 'restore') {
+    const hidden = action === 'hide';
+    if (targetType === 'story') {
+      target.hidden = hidden;
+      await target.save();
+    } else {
+      await setCommentHidden(target, hidden);
+    }
+  } else if (action === 'delete') {
+    // Log first: deleting a story also deletes its reports
+    const logged = await recordAction(moderator, action, targetType, target, note, {
+      authorId: targetType === 'story' ? target.authorId : target.userId,
+      title: targetType === 'story' ? target.title : undefined,
+      content: target.content,
+    });
+    if (targetType === 'story') {
+      await deleteStory(target);
+    } else {
+      await removeComment(target);
+    }
+    return logged;
+  }
+  return recordAction(moderator, action, targetType, target, note);
+};
+
+module.exports = {
+  REPORT_REASONS,
+  TARGET_TYPES,
+  parseReport,
+  loadTarget,
+  moderate,
+};
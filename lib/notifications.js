@@ -0,0 +1,97 @@
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+
+const NOTIFICATION_TYPES = Notification.schema.path('type').enumValues;
+
+// How many recent actors are kept on a grouped notification
+const RECENT_ACTORS = 5;
+
+const groupKeyFor = (type, { story, comment }) => {
+  switch (type) {
+    case 'like':
+    case 'comment':
+      return `${type}:${story._id}`;
+    case 'reply':
+    case 'comment_like':
+      return `${type}:${comment._id}`;
+    default:
+      return type;
+  }
+};
+
+// Record that `actor` did something the recipient should hear about. Events are
+// folded into the recipient's unread notification for the same group. Failures are
+// logged rather than thrown so they never break the action that triggered them.
+const notify = async ({ type, recipientId, actor, story = null, comment = null }) => {
+  try {
+    if (!recipientId || recipientId.toString() === actor._id.toString()) return;
+
+    const recipient = await User.findById(recipientId).select('mutedNotificationTypes');
+    if (!recipient || recipient.mutedNotificationTypes.includes(type)) return;
+
+    const now = Date.now();
+    await Notification.updateOne(
+      // Skip actors already in the group so repeated toggles aren't counted twice. Groups
+      // from before allActorIds was kept only have their recent actors to go on.
+      {
+        recipientId,
+        groupKey: groupKeyFor(type, { story, comment }),
+        read: false,
+        actorIds: { $ne: actor._id },
+        allActorIds: { $ne: actor._id },
+      },
+      {
+        $push: { actorIds: { $each: [actor._id], $slice: -RECENT_ACTORS } },
+        $addToSet: { allActorIds: actor._id },
+        $inc: { actorCount: 1 },
+        $set: { updatedAt: now },
+        $setOnInsert: {
+          type,
+          storyId: story ? story._id : null,
+          commentId: comment ? comment._id : null,
+          createdAt: now,
+        },
+      },
+      { upsert: true }
+    );
+  } catch (err) {
+    // Duplicate key: the actor is already part of the unread group
+    if (err.code !== 11000) {
+      console.error('Error creating notification:', err);
+    }
+  }
+};
+
+const describe = (type, title) => {
+  switch (type) {
+    case 'like':
+      return `liked your story "${title}"`;
+    case 'comment':
+      return `commented on your story "${title}"`;
+    case 'reply':
+      return `replied to your comment on "${title}"`;
+    case 'comment_like':
+      return `liked your comment on "${title}"`;
+    default:
+      return 'started following you';
+  }
+};
+
+// Shape a populated notification for API responses, with a summary such as
+// "Asha and 4 others liked your story"
+const formatNotification = (notification) => {
+  const obj = notification.toObject();
+  const actors = obj.actorIds.filter(Boolean).reverse();
+  const name = actors.length ? actors[0].username : 'Someone';
+  const others = obj.actorCount - 1;
+  const who = others > 0 ? `${name} and ${others} ${others === 1 ? 'other' : 'others'}` : name;
+  const title = obj.storyId ? obj.storyId.title : 'a story';
+  const { actorIds, ...rest } = obj;
+  return { ...rest, actors, message: `${who} ${describe(obj.type, title)}` };
+};
+
+module.exports = {
+  NOTIFICATION_TYPES,
+  notify,
+  formatNotification,
+};
@@ -0,0 +1,115 @@
+const crypto = require('crypto');
+const Otp = require('../models/Otp');
+const OtpRequest = require('../models/OtpRequest');
+
+const OTP_TTL_MS = 5 * 60 * 1000;
+const MAX_VERIFY_ATTEMPTS = 5;
+const RESEND_COOLDOWN_MS = 60 * 1000;
+// Sends allowed per rate limit window (the OtpRequest TTL, one hour)
+const RATE_LIMIT_WINDOW_MS = 60 * 60 * 1000;
+const MAX_SENDS_PER_EMAIL = 5;
+const MAX_SENDS_PER_IP = 20;
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const normalizeEmail = (email) => (typeof email === 'string' ? email.trim().toLowerCase() : '');
+
+const isValidEmail = (email) => EMAIL_PATTERN.test(email);
+
+// Six digits from a cryptographically secure source
+const generateCode = () => crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+
+// Keyed with a server secret so a leaked collection can't be brute-forced offline
+const hashCode = (email, code) => {
+  if (!process.env.OTP_SECRET) {
+    throw new Error('OTP_SECRET is not configured');
+  }
+  return crypto.createHmac('sha256', process.env.OTP_SECRET).update(`${email}:${code}`).digest('hex');
+};
+
+const secondsUntil = (time) => Math.max(1, Math.ceil((time - Date.now()) / 1000));
+
+// When the next send for `key` is allowed, or null if it is allowed now
+const rateLimitedUntil = async (key, max) => {
+  const since = new Date(Date.now() - RATE_LIMIT_WINDOW_MS);
+  const recent = await OtpRequest.find({ key, createdAt: { $gt: since } })
+    .sort({ createdAt: -1 })
+    .skip(max - 1)
+    .limit(1);
+  return recent.length ? recent[0].createdAt.getTime() + RATE_LIMIT_WINDOW_MS : null;
+};
+
+// Create (or replace) the code for an email and purpose. Resolves to { code } to be
+// sent, or to { error, retryAfter } (seconds) when a cooldown or rate limit applies.
+const issueOtp = async (email, ip, purpose = 'email_verification') => {
+  const existing = await Otp.findOne({ email, purpose });
+  if (existing && existing.sentAt.getTime() + RESEND_COOLDOWN_MS > Date.now()) {
+    return {
+      error: 'Please wait before requesting another code.',
+      retryAfter: secondsUntil(existing.sentAt.getTime() + RESEND_COOLDOWN_MS),
+    };
+  }
+
+  const limits = [
+    [`email:${email}`, MAX_SENDS_PER_EMAIL],
+    [`ip:${ip}`, MAX_SENDS_PER_IP],
+  ];
+  for (const [key, max] of limits) {
+    const until = await rateLimitedUntil(key, max);
+    if (until) {
+      return { error: 'Too many codes requested. Try again later.', retryAfter: secondsUntil(until) };
+    }
+  }
+
+  const code = generateCode();
+  await Otp.findOneAndUpdate(
+    { email, purpose },
+    {
+      $set: {
+        codeHash: hashCode(email, code),
+        attempts: 0,
+        sentAt: new Date(),
+        expiresAt: new Date(Date.now() + OTP_TTL_MS),
+      },
+    },
+    { upsert: true }
+  );
+  await OtpRequest.insertMany(limits.map(([key]) => ({ key })));
+  return { code };
+};
+
+// Check a code issued for `purpose`. Resolves to { success: true } and consumes the
+// code, or to { error }. Every guess uses up an attempt before the code is compared,
+// so parallel guesses can't get past MAX_VERIFY_ATTEMPTS either.
+const verifyOtp = async (email, code, purpose = 'email_verification') => {
+  const otp = await Otp.findOneAndUpdate(
+    { email, purpose, expiresAt: { $gt: new Date() }, attempts: { $lt: MAX_VERIFY_ATTEMPTS } },
+    { $inc: { attempts: 1 } },
+    { new: true }
+  );
+  if (!otp) {
+    return { error: 'No valid code for this email. Request a new one.' };
+  }
+
+  const expected = Buffer.from(otp.codeHash, 'hex');
+  const actual = Buffer.from(hashCode(email, String(code)), 'hex');
+  if (crypto.timingSafeEqual(expected, actual)) {
+    // Only the request that deletes the code gets to use it
+    const { deletedCount } = await Otp.deleteOne({ _id: otp._id, codeHash: otp.codeHash });
+    return deletedCount ? { success: true } : { error: 'No valid code for this email. Request a new one.' };
+  }
+
+  if (otp.attempts >= MAX_VERIFY_ATTEMPTS) {
+    await Otp.deleteOne({ _id: otp._id, codeHash: otp.codeHash });
+    return { error: 'Too many incorrect attempts. Request a new code.' };
+  }
+  return { error: 'Invalid code' };
+};
+
+module.exports = {
+  OTP_TTL_MS,
+  normalizeEmail,
+  isValidEmail,
+  issueOtp,
+  verifyOtp,
+};
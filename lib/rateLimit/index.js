@@ -0,0 +1,48 @@
+const createMemoryStore = require('./memory');
+const createMongoStore = require('./mongo');
+
+// How many requests a client may make per window on each rate limited route. Override
+// any of them with RATE_LIMITS, e.g. RATE_LIMITS='{"comment":{"limit":20,"windowMs":60000}}'.
+const DEFAULT_POLICIES = {
+  comment: { limit: 10, windowMs: 60 * 1000 },
+  reaction: { limit: 60, windowMs: 60 * 1000 }, // Likes and bookmarks, on and off
+  storyCreate: { limit: 10, windowMs: 60 * 60 * 1000 },
+  sendOtp: { limit: 5, windowMs: 10 * 60 * 1000 }, // Per address, on top of lib/otp.js's per-email limits
+  login: { limit: 10, windowMs: 15 * 60 * 1000 }, // Per address and username or email
+};
+
+const parsePolicies = (json = process.env.RATE_LIMITS) => {
+  const overrides = json ? JSON.parse(json) : {};
+  const policies = {};
+  for (const [name, policy] of Object.entries(DEFAULT_POLICIES)) {
+    policies[name] = { ...policy, ...overrides[name] };
+    const { limit, windowMs } = policies[name];
+    if (!Number.isInteger(limit) || limit < 1 || !Number.isInteger(windowMs) || windowMs < 1000) {
+      throw new Error(`Invalid RATE_LIMITS policy for ${name}: limit and windowMs (>= 1000) must be integers`);
+    }
+  }
+  return policies;
+};
+
+// Every rate limit store implements:
+//   increment(key, windowMs) -> Promise<{ count, resetAt }>
+// counting one request for `key` in its current window and resolving to the requests
+// counted so far and when the window ends (ms since the epoch).
+const createRateLimitStore = (driver = process.env.RATE_LIMIT_STORE || 'memory') => {
+  switch (driver) {
+    case 'memory':
+      return createMemoryStore();
+    case 'mongo':
+      return createMongoStore();
+    default:
+      throw new Error(`Unknown RATE_LIMIT_STORE: ${driver}`);
+  }
+};
+
+module.exports = {
+  DEFAULT_POLICIES,
+  parsePolicies,
+  createRateLimitStore,
+  policies: parsePolicies(),
+  rateLimitStore: createRateLimitStore(),
+};
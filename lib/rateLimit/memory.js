@@ -0,0 +1,30 @@
+// How often counters of windows that have ended are dropped
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+// Counts requests in this process's memory. Each server process limits on its own,
+// so use a shared store when running more than one.
+const createMemoryStore = () => {
+  const counters = new Map();
+
+  setInterval(() => {
+    const now = Date.now();
+    for (const [key, counter] of counters) {
+      if (counter.resetAt <= now) counters.delete(key);
+    }
+  }, SWEEP_INTERVAL_MS).unref();
+
+  return {
+    name: 'memory',
+    increment: async (key, windowMs, now = Date.now()) => {
+      let counter = counters.get(key);
+      if (!counter || counter.resetAt <= now) {
+        counter = { count: 0, resetAt: now + windowMs };
+        counters.set(key, counter);
+      }
+      counter.count += 1;
+      return { count: counter.count, resetAt: counter.resetAt };
+    },
+  };
+};
+
+module.exports = createMemoryStore;
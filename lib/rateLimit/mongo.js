@@ -0,0 +1,21 @@
+const RateLimitCounter = require('../../models/RateLimitCounter');
+
+// Counts requests in MongoDB, so every server process shares the same limits.
+// Windows are aligned to multiples of their length, so all processes agree on them.
+const createMongoStore = () => ({
+  name: 'mongo',
+  increment: async (key, windowMs, now = Date.now()) => {
+    const windowStart = Math.floor(now / windowMs) * windowMs;
+    const resetAt = windowStart + windowMs;
+    const query = { key: `${key}:${windowStart}` };
+    const update = { $inc: { count: 1 }, $setOnInsert: { expiresAt: new Date(resetAt) } };
+    const counter = await RateLimitCounter.findOneAndUpdate(query, update, { upsert: true, new: true }).catch((err) => {
+      // Duplicate key: a concurrent request created the counter first
+      if (err.code === 11000) return RateLimitCounter.findOneAndUpdate(query, update, { new: true });
+      throw err;
+    });
+    return { count: counter.count, resetAt };
+  },
+});
+
+module.exports = createMongoStore;
@@ -0,0 +1,44 @@
+const Story = require('../models/Story');
+const { recordStat } = require('./analytics');
+
+// Per-user reactions to a story: the list of Clerk ids who reacted, the counter
+// kept next to it, the names used in API responses and the author's DailyStat counter
+const REACTIONS = {
+  like: { field: 'likes', countField: 'likeCount', stateKey: 'liked', statField: 'likes' },
+  bookmark: { field: 'bookmarks', countField: 'bookmarkCount', stateKey: 'bookmarked', statField: 'bookmarks' },
+};
+
+// Turn a reaction on or off for one user. The list and the counter change in one
+// conditional update, so concurrent requests can't lose each other's changes and
+// repeating a request changes nothing. Resolves to { changed, count }.
+const setReaction = async (storyId, reaction, clerkId, active) => {
+  const { field, countField, statField } = REACTIONS[reaction];
+  const updated = await Story.findOneAndUpdate(
+    active ? { _id: storyId, [field]: { $ne: clerkId } } : { _id: storyId, [field]: clerkId },
+    active
+      ? { $push: { [field]: clerkId }, $inc: { [countField]: 1 } }
+      : { $pull: { [field]: clerkId }, $inc: { [countField]: -1 } },
+    { new: true, projection: { [countField]: 1, authorId: 1 } }
+  );
+  if (updated) {
+    if (active) {
+      await recordStat({ authorId: updated.authorId, storyId: updated._id, field: statField });
+    }
+    return { changed: true, count: updated[countField] };
+  }
+  const story = await Story.findById(storyId).select(countField);
+  return { changed: false, count: story ? story[countField] : 0 };
+};
+
+// Take back every reaction of a user, e.g. when their account is deleted
+const removeUserReactions = async (clerkId) => {
+  for (const { field, countField } of Object.values(REACTIONS)) {
+    await Story.updateMany({ [field]: clerkId }, { $pull: { [field]: clerkId }, $inc: { [countField]: -1 } });
+  }
+};
+
+module.exports = {
+  REACTIONS,
+  setReaction,
+  removeUserReactions,
+};
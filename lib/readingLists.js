@@ -0,0 +1,190 @@
+const crypto = require('crypto');
+const Story = require('../models/Story');
+const ReadingList = require('../models/ReadingList');
+const { setReaction } = require('./reactions');
+const { STORY_SUMMARY_PROJECTION, viewerStages } = require('./storyQuery');
+const { canView, formatStory } = require('./stories');
+
+const APP_URL = process.env.APP_URL || 'http://localhost:5173';
+const DEFAULT_LIST_NAME = 'Saved';
+const MAX_NAME_LENGTH = 100;
+const MAX_DESCRIPTION_LENGTH = 500;
+const MAX_NOTE_LENGTH = 2000;
+
+// Check the name and description of a list being created or edited. Returns an
+// error message, or null.
+const checkListFields = ({ name, description }, creating = false) => {
+  if (creating || name !== undefined) {
+    if (typeof name !== 'string' || !name.trim() || name.length > MAX_NAME_LENGTH) {
+      return `name must be between 1 and ${MAX_NAME_LENGTH} characters.`;
+    }
+  }
+  if (description !== undefined && (typeof description !== 'string' || description.length > MAX_DESCRIPTION_LENGTH)) {
+    return `description must be at most ${MAX_DESCRIPTION_LENGTH} characters.`;
+  }
+  return null;
+};
+
+const checkNote = (note) =>
+  note === undefined || (typeof note === 'string' && note.length <= MAX_NOTE_LENGTH)
+    ? null
+    : `note must be at most ${MAX_NOTE_LENGTH} characters.`;
+
+// The user's default list, created the first time it's needed
+const getDefaultList = async (user) => {
+  const query = { userId: user._id, isDefault: true };
+  try {
+    return await ReadingList.findOneAndUpdate(
+      query,
+      { $setOnInsert: { name: DEFAULT_LIST_NAME, items: [] } },
+      { upsert: true, new: true }
+    );
+  } catch (err) {
+    // Duplicate key: a concurrent request created it first
+    if (err.code !== 11000) throw err;
+    return ReadingList.findOne(query);
+  }
+};
+
+// A story counts as bookmarked while it's in at least one of the user's lists.
+// Call after lists change to bring the story's bookmark state in line.
+const syncBookmark = async (user, storyId) => {
+  const saved = await ReadingList.exists({ userId: user._id, 'items.storyId': storyId });
+  return setReaction(storyId, 'bookmark', user.clerkId, Boolean(saved));
+};
+
+// Add a story to a list, at the end or at a 0-based `index`. Resolves to false
+// when the story was already in the list.
+const addToList = async (list, user, storyId, { note = '', index = null } = {}) => {
+  const item = { storyId, note, addedAt: Date.now() };
+  const { modifiedCount } = await ReadingList.updateOne(
+    { _id: list._id, 'items.storyId': { $ne: storyId } },
+    {
+      $push: { items: index === null ? item : { $each: [item], $position: index } },
+      $set: { updatedAt: Date.now() },
+    }
+  );
+  await syncBookmark(user, storyId);
+  return modifiedCount > 0;
+};
+
+const removeFromList = async (list, user, storyId) => {
+  const { modifiedCount } = await ReadingList.updateOne(
+    { _id: list._id, 'items.storyId': storyId },
+    { $pull: { items: { storyId } }, $set: { updatedAt: Date.now() } }
+  );
+  await syncBookmark(user, storyId);
+  return modifiedCount > 0;
+};
+
+// Bookmark or unbookmark a story for the bookmark verbs. Bookmarking saves it to
+// the default list unless it's already in one of the user's lists; unbookmarking
+// takes it out of all of them. Resolves to { changed, count } like setReaction.
+const setBookmark = async (user, storyId, active) => {
+  if (active) {
+    if (!(await ReadingList.exists({ userId: user._id, 'items.storyId': storyId }))) {
+      const list = await getDefaultList(user);
+      await ReadingList.updateOne(
+        { _id: list._id, 'items.storyId': { $ne: storyId } },
+        { $push: { items: { storyId, addedAt: Date.now() } }, $set: { updatedAt: Date.now() } }
+      );
+    }
+  } else {
+    await ReadingList.updateMany(
+      { userId: user._id, 'items.storyId': storyId },
+      { $pull: { items: { storyId } }, $set: { updatedAt: Date.now() } }
+    );
+  }
+  return setReaction(storyId, 'bookmark', user.clerkId, active);
+};
+
+const shareUrl = (token) => `${APP_URL}/lists/shared/${token}`;
+
+// Share a list by link, keeping the existing link if it's already shared
+const shareList = async (list) => {
+  if (!list.shareToken) {
+    list.shareToken = crypto.randomBytes(18).toString('base64url');
+    list.updatedAt = Date.now();
+    await list.save();
+  }
+  return list;
+};
+
+// Stop sharing a list. The old link stops working, and sharing again makes a new one.
+const unshareList = async (list) => {
+  list.shareToken = undefined;
+  list.updatedAt = Date.now();
+  await list.save();
+  return list;
+};
+
+// Shape a list with its stories in order, as seen by `viewer` reading in `languages`.
+// Stories the viewer can't see are left out. Notes and the share link are only shown
+// to the owner.
+const presentReadingList = async (list, viewer, languages = []) => {
+  const isOwner = Boolean(viewer) && list.userId.toString() === viewer._id.toString();
+  const stories = await Story.aggregate([
+    { $match: { _id: { $in: list.items.map((item) => item.storyId) } } },
+    { $project: STORY_SUMMARY_PROJECTION },
+    ...viewerStages(viewer ? viewer.clerkId : null),
+  ]);
+  await Story.populate(stories, { path: 'authorId', select: 'username imageUrl' });
+  const storiesById = new Map(
+    stories.filter((story) => canView(story, viewer)).map((story) => [story._id.toString(), story])
+  );
+
+  const items = list.items
+    .filter((item) => storiesById.has(item.storyId.toString()))
+    .map((item) => ({
+      storyId: item.storyId,
+      addedAt: item.addedAt,
+      ...(isOwner ? { note: item.note } : {}),
+      story: formatStory(storiesById.get(item.storyId.toString()), languages),
+    }));
+
+  const { items: listItems, shareToken, ...rest } = list.toObject();
+  return {
+    ...rest,
+    ...(isOwner ? { shared: Boolean(shareToken), shareUrl: shareToken ? shareUrl(shareToken) : null } : {}),
+    itemCount: items.length,
+    items,
+  };
+};
+
+// The user's lists without their items, default list first
+const listReadingLists = async (user) => {
+  const lists = await ReadingList.aggregate([
+    { $match: { userId: user._id } },
+    { $sort: { isDefault: -1, updatedAt: -1 } },
+    { $addFields: { itemCount: { $size: '$items' } } },
+    { $project: { items: 0 } },
+  ]);
+  return lists.map(({ shareToken, ...list }) => ({
+    ...list,
+    shared: Boolean(shareToken),
+    shareUrl: shareToken ? shareUrl(shareToken) : null,
+  }));
+};
+
+// Delete a list. Its stories stay bookmarked if they're in another of the owner's lists.
+const deleteReadingList = async (list, user) => {
+  await ReadingList.deleteOne({ _id: list._id });
+  for (const { storyId } of list.items) {
+    await syncBookmark(user, storyId);
+  }
+};
+
+module.exports = {
+  DEFAULT_LIST_NAME,
+  checkListFields,
+  checkNote,
+  getDefaultList,
+  addToList,
+  removeFromList,
+  setBookmark,
+  shareList,
+  unshareList,
+  presentReadingList,
+  listReadingLists,
+  deleteReadingList,
+};
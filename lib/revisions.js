@@ -0,0 +1,32 @@
+const StoryRevision = require('../models/StoryRevision');
+const { diffLines } = require('./diff');
+
+// Snapshot the story's current title, content and category as its next revision.
+// The story's revision counter is bumped and saved along with it.
+const recordRevision = async (story, editorId, restoredFrom = null) => {
+  story.revision = (story.revision || 0) + 1;
+  await story.save();
+  return StoryRevision.create({
+    storyId: story._id,
+    number: story.revision,
+    title: story.title,
+    content: story.content,
+    category: story.category,
+    editorId,
+    restoredFrom,
+  });
+};
+
+// Field-by-field comparison of two revisions, with a line diff of the content
+const diffRevisions = (from, to) => ({
+  from: from.number,
+  to: to.number,
+  title: from.title === to.title ? null : { from: from.title, to: to.title },
+  category: from.category === to.category ? null : { from: from.category, to: to.category },
+  content: diffLines(from.content, to.content),
+});
+
+module.exports = {
+  recordRevision,
+  diffRevisions,
+};
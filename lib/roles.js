@@ -0,0 +1,12 @@
+const ROLES = ['user', 'moderator', 'admin'];
+
+const hasRole = (user, ...roles) => Boolean(user) && roles.includes(user.role);
+
+// Admins can do everything moderators can
+const isModerator = (user) => hasRole(user, 'moderator', 'admin');
+
+module.exports = {
+  ROLES,
+  hasRole,
+  isModerator,
+};
@@ -0,0 +1,87 @@
+const { markdownToText } = require('./markdown');
+
+const EXCERPT_RADIUS = 80;
+
+const escapeHtml = (text) =>
+  text.replace(/[&<>"']/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Split a $text search string into the phrases and terms worth highlighting.
+// Negated terms ("-word") are left out since they never appear in results.
+const parseSearchTerms = (q) => {
+  const phrases = [];
+  const terms = [];
+  const re = /(-?)"([^"]+)"|(-?)(\S+)/g;
+  let match;
+  while ((match = re.exec(q)) !== null) {
+    if (match[2] !== undefined) {
+      if (!match[1] && match[2].trim()) phrases.push(match[2].trim());
+    } else if (!match[3]) {
+      const term = match[4].replace(/"/g, '');
+      if (term) terms.push(term);
+    }
+  }
+  return { phrases, terms };
+};
+
+// Build a regex matching any phrase, or any word starting with a search term,
+// so stemmed matches such as "stories" for "story" are still highlighted
+const buildHighlightRegex = (q) => {
+  const { phrases, terms } = parseSearchTerms(q);
+  const parts = [
+    ...phrases.map((phrase) => phrase.split(/\s+/).map(escapeRegExp).join('\\s+')),
+    ...terms.map((term) => `${escapeRegExp(term)}[\\p{L}\\p{M}\\p{N}]*`),
+  ];
+  if (!parts.length) return null;
+  return new RegExp(`(?<![\\p{L}\\p{M}\\p{N}])(?:${parts.join('|')})`, 'giu');
+};
+
+// HTML-escape `text` and wrap every match of `regex` in <mark>
+const markMatches = (text, regex) => {
+  if (!regex) return escapeHtml(text);
+  let result = '';
+  let last = 0;
+  for (const match of text.matchAll(regex)) {
+    result += escapeHtml(text.slice(last, match.index)) + `<mark>${escapeHtml(match[0])}</mark>`;
+    last = match.index + match[0].length;
+  }
+  return result + escapeHtml(text.slice(last));
+};
+
+// Cut a window of text around the first match, snapped to word boundaries
+const excerptAround = (text, regex) => {
+  let match = null;
+  if (regex) {
+    regex.lastIndex = 0;
+    match = regex.exec(text);
+    regex.lastIndex = 0;
+  }
+  const center = match ? match.index : 0;
+  let start = Math.max(0, center - EXCERPT_RADIUS);
+  let end = Math.min(text.length, center + (match ? match[0].length : 0) + EXCERPT_RADIUS);
+  if (start > 0) {
+    const space = text.indexOf(' ', start);
+    if (space !== -1 && space < center) start = space + 1;
+  }
+  if (end < text.length) {
+    const space = text.lastIndexOf(' ', end);
+    if (space > center) end = space;
+  }
+  return `${start > 0 ? '…' : ''}${text.slice(start, end)}${end < text.length ? '…' : ''}`;
+};
+
+// Highlighted title and content excerpt for a search result. Output is HTML-escaped
+// apart from the <mark> tags, so clients can render it directly.
+const highlightStory = (story, q) => {
+  const regex = buildHighlightRegex(q);
+  const content = markdownToText(story.content);
+  return {
+    title: markMatches(story.title || '', regex),
+    excerpt: markMatches(excerptAround(content, regex), regex),
+  };
+};
+
+module.exports = {
+  highlightStory,
+};
@@ -0,0 +1,12 @@
+// URL-safe identifier for a category or tag: lowercase words (in any script)
+// joined by hyphens, e.g. " Mahabharat  Tales" -> "mahabharat-tales"
+const slugify = (text) =>
+  String(text)
+    .normalize('NFC')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{M}\p{N}]+/gu, '-')
+    .replace(/^-+|-+$/g, '');
+
+module.exports = {
+  slugify,
+};
@@ -0,0 +1,57 @@
+const ImageKit = require('imagekit');
+
+// Generic transform options to ImageKit transformation parameters
+const toTransformation = ({ width, height, fit, quality, blur }) => ({
+  ...(width && { width }),
+  ...(height && { height }),
+  ...(fit === 'inside' && { crop: 'at_max' }),
+  ...(quality && { quality }),
+  ...(blur && { blur }),
+});
+
+// Stores media on ImageKit. fileIds are ImageKit file ids.
+const createImageKitStorage = ({ publicKey, privateKey, urlEndpoint }) => {
+  const imagekit = new ImageKit({ publicKey, privateKey, urlEndpoint });
+  const isOwnUrl = (url) => typeof url === 'string' && url.startsWith(urlEndpoint);
+
+  return {
+    name: 'imagekit',
+
+    upload: (file, { folder }) =>
+      new Promise((resolve, reject) => {
+        imagekit.upload(
+          {
+            file: file.buffer,
+            fileName: `${Date.now()}_${file.originalname}`,
+            folder,
+          },
+          (error, result) => {
+            if (error) {
+              return reject(error);
+            }
+            resolve({
+              url: result.url,
+              fileId: result.fileId,
+              width: result.width || null,
+              height: result.height || null,
+              duration: result.duration || null,
+            });
+          }
+        );
+      }),
+
+    remove: (fileId) => imagekit.deleteFile(fileId),
+
+    // Resized variant of an image stored here; other URLs are returned unchanged
+    transformUrl: (url, options) =>
+      isOwnUrl(url) ? imagekit.url({ src: url, transformation: [toTransformation(options)] }) : url,
+
+    // A frame of a stored video as an image, sized like transformUrl
+    posterUrl: (videoUrl, options) =>
+      isOwnUrl(videoUrl)
+        ? imagekit.url({ src: `${videoUrl}/ik-thumbnail.jpg`, transformation: [toTransformation(options)] })
+        : null,
+  };
+};
+
+module.exports = createImageKitStorage;
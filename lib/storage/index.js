@@ -0,0 +1,33 @@
+const path = require('path');
+const createImageKitStorage = require('./imagekit');
+const createLocalStorage = require('./local');
+
+// Every storage backend implements:
+//   upload(file, { folder })      -> Promise<{ url, fileId, width?, height?, duration? }>
+//                                    (file is a multer file)
+//   remove(fileId)                -> Promise
+//   transformUrl(url, options)    -> URL of a resized image
+//   posterUrl(videoUrl, options)  -> URL of a still frame of a video, or null
+// Transform options are { width, height, fit: 'cover' | 'inside', quality, blur }.
+const createStorage = (driver = process.env.STORAGE_DRIVER || 'imagekit') => {
+  switch (driver) {
+    case 'imagekit':
+      return createImageKitStorage({
+        publicKey: process.env.IMAGEKIT_PUBLIC_KEY,
+        privateKey: process.env.IMAGEKIT_PRIVATE_KEY,
+        urlEndpoint: process.env.IMAGEKIT_URL_ENDPOINT,
+      });
+    case 'local':
+      return createLocalStorage({
+        root: path.resolve(process.env.UPLOAD_DIR || 'uploads'),
+        baseUrl: process.env.PUBLIC_URL || '',
+      });
+    default:
+      throw new Error(`Unknown STORAGE_DRIVER: ${driver}`);
+  }
+};
+
+module.exports = {
+  createStorage,
+  storage: createStorage(),
+};
@@ -0,0 +1,45 @@
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+
+// Stores media on the local disk, for development and tests. Files are served by
+// the app itself under `publicPath`; fileIds are paths relative to `root`. There
+// is no image processing: variants are the original file and videos get no poster.
+const createLocalStorage = ({ root, publicPath = '/uploads', baseUrl = '' }) => {
+  const resolveFileId = (fileId) => {
+    const filePath = path.resolve(root, fileId);
+    if (!filePath.startsWith(path.resolve(root) + path.sep)) {
+      throw new Error(`Invalid file id: ${fileId}`);
+    }
+    return filePath;
+  };
+
+  return {
+    name: 'local',
+    root,
+    publicPath,
+
+    upload: async (file, { folder }) => {
+      const extension = path.extname(file.originalname).replace(/[^\w.]/g, '');
+      const fileId = path.posix.join(folder, `${Date.now()}_${crypto.randomBytes(6).toString('hex')}${extension}`);
+      const filePath = resolveFileId(fileId);
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, file.buffer);
+      return { url: `${baseUrl}${publicPath}/${fileId}`, fileId };
+    },
+
+    remove: async (fileId) => {
+      try {
+        await fs.unlink(resolveFileId(fileId));
+      } catch (err) {
+        if (err.code !== 'ENOENT') throw err;
+      }
+    },
+
+    transformUrl: (url) => url,
+
+    posterUrl: () => null,
+  };
+};
+
+module.exports = createLocalStorage;
@@ -0,0 +1,299 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Story = require('../models/Story');
+const Comment = require('../models/Comment');
+const Progress = require('../models/Progress');
+const StoryRevision = require('../models/StoryRevision');
+const Report = require('../models/Report');
+const Notification = require('../models/Notification');
+const Series = require('../models/Series');
+const ReadingList = require('../models/ReadingList');
+const DailyStat = require('../models/DailyStat');
+const { STORY_SUMMARY_PROJECTION, viewerStages, buildListPipeline, toPage } = require('./storyQuery');
+const { isModerator } = require('./roles');
+const { STORIES_CHANNEL, publish } = require('./events');
+const { removeFiles, storyFileIds, presentStoryMedia } = require('./media');
+const { localizeStory } = require('./i18n');
+
+// How often scheduled stories are checked for having gone live
+const ANNOUNCE_INTERVAL_MS = 30 * 1000;
+// Deleted stories stay in their author's trash this long before they are purged
+const TRASH_RETENTION_DAYS = Number(process.env.STORY_TRASH_DAYS) || 30;
+const TRASH_PURGE_INTERVAL_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const STORY_STATUSES = ['draft', 'published'];
+
+// Drafts are listed by when they were last edited
+const DRAFT_SORT_MODES = {
+  recent: { field: 'updatedAt', direction: -1 },
+};
+
+// The trash is listed by when stories were deleted
+const TRASH_SORT_MODES = {
+  recent: { field: 'deletedAt', direction: -1 },
+};
+
+// Stories anyone may see: published, with a publish time that has passed, not hidden by a
+// moderator and not in the trash
+const publicStoryFilter = (now = new Date()) => ({
+  status: 'published',
+  publishedAt: { $lte: now },
+  hidden: { $ne: true },
+  deletedAt: null,
+});
+
+const isPublic = (story, now = new Date()) =>
+  story.status === 'published' &&
+  Boolean(story.publishedAt) &&
+  story.publishedAt <= now &&
+  !story.hidden &&
+  !story.deletedAt;
+
+const isAuthor = (story, user) => {
+  if (!user) return false;
+  const authorId = story.authorId && story.authorId._id ? story.authorId._id : story.authorId;
+  return authorId.toString() === user._id.toString();
+};
+
+// Drafts and scheduled stories are only visible to their author; hidden stories
+// to their author and moderators. Stories in the trash are only listed in it.
+const canView = (story, user) =>
+  !story.deletedAt && (isPublic(story) || isAuthor(story, user) || (story.hidden && isModerator(user)));
+
+// Work out the publishing state from a create/update request body.
+// `publishAt` in the future schedules the story; returns { error } when invalid.
+const parsePublishing = ({ status, publishAt }, current = null) => {
+  if (status !== undefined && !STORY_STATUSES.includes(status)) {
+    return { error: `Invalid status. Use one of: ${STORY_STATUSES.join(', ')}.` };
+  }
+  let publishDate = null;
+  if (publishAt !== undefined && publishAt !== null && publishAt !== '') {
+    publishDate = new Date(publishAt);
+    if (Number.isNaN(publishDate.getTime())) {
+      return { error: 'publishAt must be a valid date.' };
+    }
+  }
+
+  const nextStatus = status || (current ? current.status : 'published');
+  if (nextStatus === 'draft') {
+    return { status: 'draft', publishedAt: null };
+  }
+  // Keep the original publish time when re-saving an already published story
+  const keepExisting = current && current.status === 'published' && current.publishedAt && !publishDate;
+  return { status: 'published', publishedAt: keepExisting ? current.publishedAt : publishDate || new Date() };
+};
+
+// Shape a story (document or plain object) for API responses, in the first of the
+// reader's `languages` it has. Who liked or bookmarked it is never exposed, only the
+// counts and the viewer's own state.
+const formatStory = (story, languages = []) => {
+  const { likes, bookmarks, ...obj } = localizeStory(
+    typeof story.toObject === 'function' ? story.toObject() : story,
+    languages
+  );
+  return {
+    ...obj,
+    likedByMe: Boolean(obj.likedByMe),
+    bookmarkedByMe: Boolean(obj.bookmarkedByMe),
+    author: obj.authorId ? obj.authorId.username : 'Unknown',
+    authorImage: obj.authorId ? obj.authorId.imageUrl : '',
+    scheduled: obj.status === 'published' && Boolean(obj.publishedAt) && new Date(obj.publishedAt) > new Date(),
+    ...presentStoryMedia(obj),
+  };
+};
+
+// Add `series` to formatted stories that are chapters: the series title and cover,
+// the chapter number and the previous/next chapter ids. Chapters that aren't
+// public are skipped when numbering and linking.
+const attachSeriesInfo = async (stories) => {
+  const seriesIds = [...new Set(stories.filter((story) => story.seriesId).map((story) => story.seriesId.toString()))];
+  if (!seriesIds.length) {
+    return stories.map((story) => ({ ...story, series: null }));
+  }
+
+  const seriesList = await Series.find({ _id: { $in: seriesIds } }).select('title coverImageUrl chapters');
+  const chapterIds = seriesList.flatMap((series) => series.chapters);
+  const publicIds = await Story.find({ _id: { $in: chapterIds }, ...publicStoryFilter() }).distinct('_id');
+  const visible = new Set(publicIds.map((id) => id.toString()));
+  const seriesById = new Map(seriesList.map((series) => [series._id.toString(), series]));
+
+  return stories.map((story) => {
+    const series = story.seriesId && seriesById.get(story.seriesId.toString());
+    if (!series) {
+      return { ...story, series: null };
+    }
+    const storyId = story._id.toString();
+    const chapters = series.chapters
+      .map((id) => id.toString())
+      .filter((id) => visible.has(id) || id === storyId);
+    const index = chapters.indexOf(storyId);
+    return {
+      ...story,
+      series: {
+        _id: series._id,
+        title: series.title,
+        coverImageUrl: series.coverImageUrl,
+        chapterNumber: index + 1,
+        chapterCount: chapters.length,
+        previousChapterId: index > 0 ? chapters[index - 1] : null,
+        nextChapterId: index < chapters.length - 1 ? chapters[index + 1] : null,
+      },
+    };
+  });
+};
+
+// Load a single story and shape it for an API response to the viewer (a Clerk id)
+// reading in `languages`
+const presentStory = async (storyId, viewerId = null, languages = []) => {
+  const [story] = await Story.aggregate([
+    { $match: { _id: new mongoose.Types.ObjectId(String(storyId)) } },
+    ...viewerStages(viewerId),
+  ]);
+  await Story.populate(story, { path: 'authorId', select: 'username imageUrl' });
+  const [formatted] = await attachSeriesInfo([formatStory(story, languages)]);
+  return formatted;
+};
+
+// Load stories by id and shape them as a list for the viewer, keeping the order of
+// `storyIds`. Ids of stories that no longer exist are skipped.
+const presentStories = async (storyIds, viewerId = null, languages = []) => {
+  const stories = await Story.aggregate([
+    { $match: { _id: { $in: storyIds } } },
+    { $project: STORY_SUMMARY_PROJECTION },
+    ...viewerStages(viewerId),
+  ]);
+  await Story.populate(stories, { path: 'authorId', select: 'username imageUrl' });
+  const storiesById = new Map(stories.map((story) => [story._id.toString(), story]));
+  const ordered = storyIds.map((id) => storiesById.get(id.toString())).filter(Boolean);
+  return attachSeriesInfo(ordered.map((story) => formatStory(story, languages)));
+};
+
+// Fetch one page of stories matching `baseFilter`, applying the parsed list options,
+// as seen by the viewer (a Clerk id) reading in `languages`
+const listStories = async (baseFilter, options, viewerId = null, languages = []) => {
+  const conditions = [baseFilter];
+  if (options.category) conditions.push({ category: options.category });
+  if (options.tag) conditions.push({ tags: options.tag });
+  if (options.publishedAt) conditions.push({ publishedAt: options.publishedAt });
+  if (options.author) {
+    const author = await User.findOne({ $or: [{ clerkId: options.author }, { username: options.author }] });
+    if (!author) {
+      return { stories: [], nextCursor: null };
+    }
+    conditions.push({ authorId: author._id });
+  }
+
+  const docs = await Story.aggregate(buildListPipeline({ $and: conditions }, options, viewerId));
+  const { items, nextCursor } = toPage(docs, options);
+  await Story.populate(items, { path: 'authorId', select: 'username imageUrl' });
+  return { stories: await attachSeriesInfo(items.map((story) => formatStory(story, languages))), nextCursor };
+};
+
+// Push a newly live story to the global stream, at most once per story
+const announceStory = async (storyId) => {
+  const story = await Story.findOneAndUpdate(
+    { _id: storyId, announcedAt: null, ...publicStoryFilter() },
+    { $set: { announcedAt: new Date() } },
+    { new: true, projection: STORY_SUMMARY_PROJECTION }
+  ).populate('authorId', 'username imageUrl');
+  if (story) {
+    publish(STORIES_CHANNEL, 'story_published', formatStory(story));
+  }
+};
+
+// Periodically announce scheduled stories whose publish time has passed. Only
+// stories saved with an explicit announcedAt: null are picked up, so stories that
+// predate the live stream are never announced.
+const startPublishAnnouncer = () => {
+  const tick = async () => {
+    try {
+      const due = await Story.find({ announcedAt: { $type: 'null' }, ...publicStoryFilter() })
+        .select('_id')
+        .limit(50);
+      for (const story of due) {
+        await announceStory(story._id);
+      }
+    } catch (err) {
+      console.error('Error announcing scheduled stories:', err);
+    }
+  };
+  return setInterval(tick, ANNOUNCE_INTERVAL_MS).unref();
+};
+
+// When a story in the trash is purged
+const purgeDate = (story) => new Date(new Date(story.deletedAt).getTime() + TRASH_RETENTION_DAYS * DAY_MS);
+
+// Move a story to its author's trash. It keeps its comments, likes, stats and place
+// in series and reading lists, but is left out everywhere until it is restored.
+const trashStory = async (story) => {
+  story.deletedAt = new Date();
+  await story.save();
+  return story;
+};
+
+// Take a story back out of the trash. A published story that was never announced
+// (it was scheduled when deleted) goes out on the live stream now if it is due.
+const restoreStory = async (story) => {
+  story.deletedAt = null;
+  await story.save();
+  await announceStory(story._id);
+  return story;
+};
+
+// Periodically delete stories that have been in the trash for longer than the
+// retention period
+const startTrashPurger = () => {
+  const tick = async () => {
+    try {
+      const expired = await Story.find({ deletedAt: { $lte: new Date(Date.now() - TRASH_RETENTION_DAYS * DAY_MS) } })
+        .select('imageFileId audioFileId videoFileId seriesId')
+        .limit(50);
+      for (const story of expired) {
+        await deleteStory(story);
+      }
+    } catch (err) {
+      console.error('Error purging trashed stories:', err);
+    }
+  };
+  return setInterval(tick, TRASH_PURGE_INTERVAL_MS).unref();
+};
+
+// Delete a story along with everything that hangs off it
+const deleteStory = async (story) => {
+  await Story.deleteOne({ _id: story._id });
+  await Comment.deleteMany({ storyId: story._id });
+  await Progress.deleteMany({ storyId: story._id });
+  await StoryRevision.deleteMany({ storyId: story._id });
+  await Report.deleteMany({ storyId: story._id });
+  await Notification.deleteMany({ storyId: story._id });
+  await DailyStat.deleteMany({ storyId: story._id });
+  if (story.seriesId) {
+    await Series.updateOne({ _id: story.seriesId }, { $pull: { chapters: story._id } });
+  }
+  await ReadingList.updateMany({ 'items.storyId': story._id }, { $pull: { items: { storyId: story._id } } });
+  await removeFiles(storyFileIds(story));
+};
+
+module.exports = {
+  STORY_STATUSES,
+  DRAFT_SORT_MODES,
+  TRASH_SORT_MODES,
+  publicStoryFilter,
+  isPublic,
+  isAuthor,
+  canView,
+  parsePublishing,
+  formatStory,
+  attachSeriesInfo,
+  presentStory,
+  presentStories,
+  listStories,
+  announceStory,
+  startPublishAnnouncer,
+  purgeDate,
+  trashStory,
+  restoreStory,
+  startTrashPurger,
+  deleteStory,
+};
@@ -0,0 +1,179 @@
+const mongoose = require('mongoose');
+const { slugify } = require('./slug');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 50;
+const MAX_QUERY_LENGTH = 200;
+
+// Sort modes supported by the story listing endpoints
+const SORT_MODES = {
+  newest: { field: 'publishedAt', direction: -1 },
+  oldest: { field: 'publishedAt', direction: 1 },
+  most_liked: { field: 'likeCount', direction: -1 },
+  most_commented: { field: 'commentCount', direction: -1 },
+};
+
+// Search results are ranked by text score by default, but may use any listing sort
+const SEARCH_SORT_MODES = {
+  relevance: { field: 'score', direction: -1 },
+  ...SORT_MODES,
+};
+
+const encodeCursor = (story, { field }) => {
+  const value = story[field] instanceof Date ? story[field].toISOString() : story[field];
+  return Buffer.from(JSON.stringify({ v: value, id: story._id.toString() })).toString('base64url');
+};
+
+// Dates are encoded as ISO strings, every other sort value is numeric
+const decodeCursor = (cursor) => {
+  try {
+    const { v, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (!mongoose.Types.ObjectId.isValid(id)) return null;
+    const value = typeof v === 'string' ? new Date(v) : Number(v);
+    if (Number.isNaN(value.valueOf())) return null;
+    return { value, id: new mongoose.Types.ObjectId(id) };
+  } catch (err) {
+    return null;
+  }
+};
+
+const parseDate = (value) => {
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+// Parse ?limit, ?after, ?sort, ?category, ?tag, ?author, ?from and ?to from a query string.
+// Returns { error } when any of them is invalid.
+const parseListOptions = (query = {}, { modes = SORT_MODES, defaultSort = 'newest' } = {}) => {
+  const sort = query.sort || defaultSort;
+  const mode = modes[sort];
+  if (!mode) {
+    return { error: `Invalid sort. Use one of: ${Object.keys(modes).join(', ')}.` };
+  }
+
+  let limit = DEFAULT_LIMIT;
+  if (query.limit !== undefined) {
+    limit = parseInt(query.limit, 10);
+    if (!Number.isInteger(limit) || limit < 1) {
+      return { error: 'limit must be a positive integer.' };
+    }
+    limit = Math.min(limit, MAX_LIMIT);
+  }
+
+  let after = null;
+  if (query.after) {
+    after = decodeCursor(query.after);
+    if (!after) {
+      return { error: 'Invalid cursor.' };
+    }
+  }
+
+  const publishedAt = {};
+  if (query.from) {
+    const from = parseDate(query.from);
+    if (!from) return { error: 'from must be a valid date.' };
+    publishedAt.$gte = from;
+  }
+  if (query.to) {
+    const to = parseDate(query.to);
+    if (!to) return { error: 'to must be a valid date.' };
+    publishedAt.$lte = to;
+  }
+
+  return {
+    sort,
+    mode,
+    limit,
+    after,
+    category: query.category ? slugify(query.category) : null,
+    tag: query.tag ? slugify(query.tag) : null,
+    author: query.author || null,
+    publishedAt: Object.keys(publishedAt).length ? publishedAt : null,
+  };
+};
+
+// Filter selecting the documents that sort after the given cursor position
+const cursorFilter = (after, { field, direction }) => {
+  const op = direction === -1 ? '$lt' : '$gt';
+  return { $or: [{ [field]: { [op]: after.value } }, { [field]: after.value, _id: { [op]: after.id } }] };
+};
+
+// Parse the options for a search request: the list options plus a required ?q
+const parseSearchOptions = (query = {}) => {
+  const q = typeof query.q === 'string' ? query.q.trim() : '';
+  if (!q) {
+    return { error: 'Search query (q) is required.' };
+  }
+  if (q.length > MAX_QUERY_LENGTH) {
+    return { error: `Search query must be at most ${MAX_QUERY_LENGTH} characters.` };
+  }
+  const options = parseListOptions(query, { modes: SEARCH_SORT_MODES, defaultSort: 'relevance' });
+  return options.error ? options : { ...options, q };
+};
+
+// Fields left out of story lists, which show the excerpt instead
+const STORY_SUMMARY_PROJECTION = {
+  content: 0,
+  contentHtml: 0,
+  'translations.content': 0,
+  'translations.contentHtml': 0,
+};
+
+// Stages replacing the lists of Clerk ids who liked or bookmarked each story with
+// whether the viewer (a Clerk id, or null) did
+const viewerStages = (viewerId) => [
+  {
+    $addFields: {
+      likedByMe: viewerId ? { $in: [viewerId, { $ifNull: ['$likes', []] }] } : false,
+      bookmarkedByMe: viewerId ? { $in: [viewerId, { $ifNull: ['$bookmarks', []] }] } : false,
+    },
+  },
+  { $project: { likes: 0, bookmarks: 0 } },
+];
+
+// Build the aggregation pipeline for one page of stories matching `filter`.
+// When options.q is set the stories are text-searched and given a `score`, and keep
+// their content for highlighting.
+// One extra document is fetched so the caller can tell whether another page exists.
+const buildListPipeline = (filter, { mode, limit, after, q }, viewerId = null) => {
+  const { field, direction } = mode;
+  // $text must be part of the first $match stage
+  const pipeline = [{ $match: q ? { $text: { $search: q }, ...filter } : filter }];
+  if (q) {
+    pipeline.push({ $addFields: { score: { $meta: 'textScore' } } });
+  }
+
+  if (after) {
+    pipeline.push({ $match: cursorFilter(after, mode) });
+  }
+
+  pipeline.push(
+    { $sort: { [field]: direction, _id: direction } },
+    { $limit: limit + 1 },
+    { $project: q ? { contentHtml: 0, 'translations.contentHtml': 0 } : STORY_SUMMARY_PROJECTION },
+    ...viewerStages(viewerId)
+  );
+  return pipeline;
+};
+
+// Trim the extra document fetched by buildListPipeline and compute the next cursor
+const toPage = (docs, { mode, limit }) => {
+  const hasMore = docs.length > limit;
+  const items = hasMore ? docs.slice(0, limit) : docs;
+  return {
+    items,
+    nextCursor: hasMore ? encodeCursor(items[items.length - 1], mode) : null,
+  };
+};
+
+module.exports = {
+  SORT_MODES,
+  SEARCH_SORT_MODES,
+  STORY_SUMMARY_PROJECTION,
+  parseListOptions,
+  parseSearchOptions,
+  viewerStages,
+  buildListPipeline,
+  cursorFilter,
+  toPage,
+};
@@ -0,0 +1,74 @@
+const ReadingStreak = require('../models/ReadingStreak');
+
+const isValidTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (err) {
+    return false;
+  }
+};
+
+// Calendar day (YYYY-MM-DD) of `date` in the given time zone
+const localDay = (date, timeZone = 'UTC') =>
+  new Intl.DateTimeFormat('en-CA', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' }).format(date);
+
+const previousDay = (day) => {
+  const date = new Date(`${day}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() - 1);
+  return date.toISOString().slice(0, 10);
+};
+
+// Count today towards the user's reading streak. Runs as a single conditional
+// update so concurrent progress saves on the same day only count once.
+const recordReadingDay = async (userId, timeZone = 'UTC', now = new Date()) => {
+  const today = localDay(now, timeZone);
+  try {
+    await ReadingStreak.updateOne(
+      { userId, lastReadDate: { $ne: today } },
+      [
+        {
+          $set: {
+            currentStreak: {
+              $cond: [{ $eq: ['$lastReadDate', previousDay(today)] }, { $add: ['$currentStreak', 1] }, 1],
+            },
+          },
+        },
+        {
+          $set: {
+            longestStreak: { $max: ['$longestStreak', '$currentStreak'] },
+            lastReadDate: today,
+            timeZone,
+            updatedAt: now,
+          },
+        },
+      ],
+      { upsert: true }
+    );
+  } catch (err) {
+    // Duplicate key: the streak already exists and today was already counted
+    if (err.code !== 11000) throw err;
+  }
+};
+
+// Streak as seen today: a streak is broken once a full day passes without reading
+const getStreak = async (userId, now = new Date()) => {
+  const streak = await ReadingStreak.findOne({ userId });
+  if (!streak) {
+    return { currentStreak: 0, longestStreak: 0, lastReadDate: null, readToday: false };
+  }
+  const today = localDay(now, streak.timeZone);
+  const active = streak.lastReadDate === today || streak.lastReadDate === previousDay(today);
+  return {
+    currentStreak: active ? streak.currentStreak : 0,
+    longestStreak: streak.longestStreak,
+    lastReadDate: streak.lastReadDate,
+    readToday: streak.lastReadDate === today,
+  };
+};
+
+module.exports = {
+  isValidTimeZone,
+  recordReadingDay,
+  getStreak,
+};
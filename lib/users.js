@@ -0,0 +1,129 @@
+const User = require('../models/User');
+const Story = require('../models/Story');
+const Comment = require('../models/Comment');
+const Progress = require('../models/Progress');
+const ReadingStreak = require('../models/ReadingStreak');
+const StoryRevision = require('../models/StoryRevision');
+const Report = require('../models/Report');
+const Notification = require('../models/Notification');
+const Series = require('../models/Series');
+const EmailMessage = require('../models/EmailMessage');
+const ReadingList = require('../models/ReadingList');
+const DailyStat = require('../models/DailyStat');
+const { removeUserFollows } = require('./follows');
+const { removeUserComments } = require('./comments');
+const { removeFiles, storyFileIds } = require('./media');
+const { removeUserReactions } = require('./reactions');
+
+// How long a user has to change their mind after asking to delete their account
+const DELETION_GRACE_DAYS = Number(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 14;
+const DELETION_CHECK_INTERVAL_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Delete a user and everything they own or left on other people's content. Only
+// the MongoDB side: removing the account from the auth provider is up to the caller.
+const deleteUserData = async (user) => {
+  const { clerkId } = user;
+
+  // Delete all stories authored by the user, along with their comments and media
+  const stories = await Story.find({ authorId: user._id }).select('imageFileId audioFileId videoFileId');
+  const storyIds = stories.map((story) => story._id);
+  const seriesCovers = await Series.find({ authorId: user._id }).distinct('coverFileId');
+  await Comment.deleteMany({ storyId: { $in: storyIds } });
+  await Progress.deleteMany({ storyId: { $in: storyIds } });
+  await StoryRevision.deleteMany({ storyId: { $in: storyIds } });
+  await Report.deleteMany({ $or: [{ storyId: { $in: storyIds } }, { reporterId: user._id }] });
+  await Story.deleteMany({ authorId: user._id });
+  await Series.deleteMany({ authorId: user._id });
+  await DailyStat.deleteMany({ authorId: user._id });
+  await removeFiles([...stories.flatMap(storyFileIds), ...seriesCovers, user.imageFileId]);
+
+  // Delete the user's own reading progress, streak and reading lists
+  await Progress.deleteMany({ userId: user._id });
+  await ReadingStreak.deleteOne({ userId: user._id });
+  await ReadingList.deleteMany({ userId: user._id });
+
+  // Remove the user's follows in both directions, and their notifications
+  await removeUserFollows(user._id);
+  await Notification.deleteMany({ recipientId: user._id });
+  // Take the user out of other people's notifications, dropping those nobody else is left in
+  const actedOn = await Notification.find({ $or: [{ actorIds: user._id }, { allActorIds: user._id }] }).distinct('_id');
+  await Notification.updateMany(
+    { _id: { $in: actedOn } },
+    { $pull: { actorIds: user._id, allActorIds: user._id }, $inc: { actorCount: -1 } }
+  );
+  await Notification.deleteMany({ _id: { $in: actedOn }, actorCount: { $lte: 0 } });
+  await EmailMessage.deleteMany({ userId: user._id });
+
+  // Remove user's comments, likes and bookmarks from all stories
+  await removeUserComments(user._id);
+  await Comment.updateMany({ likes: clerkId }, { $pull: { likes: clerkId } });
+  await removeUserReactions(clerkId);
+
+  // Delete the user from MongoDB
+  await User.deleteOne({ _id: user._id });
+};
+
+// Schedule the user's account to be deleted once the grace period is over. Until
+// then nothing changes, and the user can sign in and cancel.
+const scheduleAccountDeletion = async (user, now = new Date()) => {
+  if (!user.deletionScheduledAt) {
+    user.deletionScheduledAt = new Date(now.getTime() + DELETION_GRACE_DAYS * DAY_MS);
+    user.updatedAt = Date.now();
+    await user.save();
+  }
+  return user;
+};
+
+// Resolves to the updated user, or null if the deletion has already started
+const cancelAccountDeletion = (user) =>
+  User.findOneAndUpdate(
+    { _id: user._id, deletingAt: null },
+    { $set: { deletionScheduledAt: null, updatedAt: Date.now() } },
+    { new: true }
+  );
+
+// Mark a user matching `filter` as being deleted, so the worker and the auth
+// provider's webhook never delete the same account at once. A claim older than a
+// day is taken to have failed half-way and can be taken again. Resolves to the
+// claimed user, or null.
+const claimAccountDeletion = (filter, now = new Date()) =>
+  User.findOneAndUpdate(
+    { $and: [filter, { $or: [{ deletingAt: null }, { deletingAt: { $lte: new Date(now.getTime() - DAY_MS) } }] }] },
+    { $set: { deletingAt: now } },
+    { new: true }
+  );
+
+// Periodically delete the accounts whose grace period is over. Each account is
+// claimed first, so only one process deletes it. The auth provider's account goes
+// first: the user could otherwise sign in again and come back as a new, empty
+// account. The MongoDB user goes last, so a failure at any step is retried once
+// the claim goes stale.
+const startAccountDeletionWorker = (authProvider) => {
+  const tick = async () => {
+    try {
+      for (;;) {
+        const user = await claimAccountDeletion({ deletionScheduledAt: { $lte: new Date() } });
+        if (!user) break;
+        try {
+          await authProvider.deleteAccount(user);
+          await deleteUserData(user);
+        } catch (err) {
+          console.error(`Error deleting account ${user.clerkId}:`, err);
+        }
+      }
+    } catch (err) {
+      console.error('Error deleting scheduled accounts:', err);
+    }
+  };
+  return setInterval(tick, DELETION_CHECK_INTERVAL_MS).unref();
+};
+
+module.exports = {
+  DELETION_GRACE_DAYS,
+  deleteUserData,
+  scheduleAccountDeletion,
+  cancelAccountDeletion,
+  claimAccountDeletion,
+  startAccountDeletionWorker,
+};
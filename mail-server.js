@@ -1,73 +1,75 @@
 const express = require('express');
-const nodemailer = require('nodemailer');
+const mongoose = require('mongoose');
 const cors = require('cors');
+const Otp = require('./models/Otp');
+const { OTP_TTL_MS, normalizeEmail, isValidEmail, issueOtp, verifyOtp } = require('./lib/otp');
+const { sendEmailNow } = require('./lib/mail');
+const { rateLimit } = require('./middleware/rateLimit');
 const app = express();
 
 app.use(cors({ origin: '*' }));
 app.use(express.json());
+// Behind a proxy, set TRUST_PROXY (e.g. to 1) so per-IP limits see the client's address
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', Number(process.env.TRUST_PROXY) || process.env.TRUST_PROXY);
+}
 
-const otpStore = new Map();
+const PORT = process.env.MAIL_PORT || 3000;
 
-const transporter = nodemailer.createTransport({
-  service: 'gmail',
-  auth: {
-    user: 'nemisruparel07@gmail.com',
-    pass: 'dxnbpzymfyrtchuv',
-  },
-});
-
-const generateOtp = () => {
-  return Math.floor(100000 + Math.random() * 900000).toString();
-};
+// MongoDB connection
+mongoose
+  .connect(process.env.MONGODB_URI)
+  .then(() => console.log('Connected to MongoDB Atlas'))
+  .catch((err) => console.error('MongoDB connection error:', err));
 
-app.post('/send-otp', (req, res) => {
-  const { email } = req.body;
-  const otp = generateOtp();
-  otpStore.set(email, { otp, expires: Date.now() + 5 * 60 * 1000 }); // 5 minutes expiry
+app.post('/send-otp', rateLimit('sendOtp', { format: (body) => ({ success: false, ...body }) }), async (req, res) => {
+  try {
+    const email = normalizeEmail((req.body || {}).email);
+    if (!isValidEmail(email)) {
+      return res.status(400).json({ success: false, error: 'A valid email is required' });
+    }
 
-  const mailOptions = {
-    from: 'nemisruparel07@gmail.com',
-    to: email,
-    subject: 'Your OTP for Account Verification',
-    html: `
-      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; background-color: #f4f4f4;">
-        <h2 style="color: #FF9933;">Account Verification</h2>
-        <p>Dear User,</p>
-        <p>Thank you for registering with us. Please use the following One-Time Password (OTP) to verify your account:</p>
-        <h3 style="color: #138808; font-weight: bold;">${otp}</h3>
-        <p>This OTP is valid for 5 minutes. Please do not share it with anyone.</p>
-        <p>Best regards,<br>Your Company Name</p>
-      </div>
-    `,
-  };
+    const result = await issueOtp(email, req.ip);
+    if (result.error) {
+      res.set('Retry-After', String(result.retryAfter));
+      return res.status(429).json({ success: false, error: result.error, retryAfter: result.retryAfter });
+    }
 
-  transporter.sendMail(mailOptions, (error) => {
-    if (error) {
+    const message = await sendEmailNow({
+      to: email,
+      template: 'otp',
+      vars: { code: result.code, minutes: OTP_TTL_MS / 60000 },
+      maxAttempts: 1, // A late retry would arrive after the user has given up on the code
+    });
+    if (!message || message.status !== 'sent') {
+      // The code never arrived, so don't hold the user to the resend cooldown
+      await Otp.deleteOne({ email, purpose: 'email_verification' });
       return res.status(500).json({ success: false, error: 'Failed to send OTP' });
     }
     res.json({ success: true });
-  });
-});
-
-app.post('/verify-otp', (req, res) => {
-  const { email, otp } = req.body;
-  const stored = otpStore.get(email);
-
-  if (!stored) {
-    return res.status(400).json({ success: false, error: 'No OTP found for this email' });
+  } catch (err) {
+    console.error('Error issuing OTP:', err);
+    res.status(500).json({ success: false, error: 'Failed to send OTP' });
   }
+});
 
-  if (Date.now() > stored.expires) {
-    otpStore.delete(email);
-    return res.status(400).json({ success: false, error: 'OTP expired' });
-  }
+app.post('/verify-otp', async (req, res) => {
+  try {
+    const { otp } = req.body || {};
+    const email = normalizeEmail((req.body || {}).email);
+    if (!isValidEmail(email) || !otp) {
+      return res.status(400).json({ success: false, error: 'Email and OTP are required' });
+    }
 
-  if (stored.otp === otp) {
-    otpStore.delete(email);
-    return res.json({ success: true });
+    const result = await verifyOtp(email, otp);
+    if (result.error) {
+      return res.status(400).json({ success: false, error: result.error });
+    }
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Error verifying OTP:', err);
+    res.status(500).json({ success: false, error: 'Failed to verify OTP' });
   }
-
-  res.status(400).json({ success: false, error: 'Invalid OTP' });
 });
 
-app.listen(3000, () => console.log('Server running on port 3000'));
\ No newline at end of file
+app.listen(PORT, () => console.log(`Server running on port ${PORT}`));
@@ -0,0 +1,49 @@
+const { authProvider } = require('../lib/auth');
+const { hasRole } = require('../lib/roles');
+
+// Resolve the signed-in user through the configured auth provider, once per request.
+// req.user is the MongoDB user, or null for anonymous requests.
+const authenticate = async (req, res) => {
+  if (req.user === undefined) {
+    req.user = (await authProvider.authenticate(req, res)) || null;
+  }
+  return req.user;
+};
+
+// Require a signed-in user and attach it as req.user
+const requireAuth = async (req, res, next) => {
+  try {
+    if (!(await authenticate(req, res))) {
+      return res.status(401).json({ error: 'Unauthorized: Please sign in.' });
+    }
+    next();
+  } catch (error) {
+    console.error('Error authenticating user:', error);
+    res.status(500).json({ error: 'Internal server error during authentication: ' + error.message });
+  }
+};
+
+// Attach the user as req.user when signed in, and let anonymous requests through with null
+const optionalAuth = async (req, res, next) => {
+  try {
+    await authenticate(req, res);
+    next();
+  } catch (error) {
+    console.error('Error authenticating user:', error);
+    res.status(500).json({ error: 'Internal server error during authentication: ' + error.message });
+  }
+};
+
+// Only let users with one of the given roles through. Use after requireAuth.
+const requireRole = (...roles) => (req, res, next) => {
+  if (!hasRole(req.user, ...roles)) {
+    return res.status(403).json({ error: 'Forbidden: Insufficient role.' });
+  }
+  next();
+};
+
+module.exports = {
+  requireAuth,
+  optionalAuth,
+  requireRole,
+};
@@ -0,0 +1,13 @@
+const { preferredLanguages } = require('../lib/i18n');
+
+// Work out the reader's preferred languages as req.languages, for responses with
+// translated stories. Those responses vary with the Accept-Language header.
+const negotiateLanguage = (req, res, next) => {
+  req.languages = preferredLanguages(req);
+  res.vary('Accept-Language');
+  next();
+};
+
+module.exports = {
+  negotiateLanguage,
+};
@@ -0,0 +1,50 @@
+const { policies, rateLimitStore } = require('../lib/rateLimit');
+
+// Signed-in users are limited by account, everyone else by address
+const clientKey = (req) => (req.user ? `user:${req.user.clerkId}` : `ip:${req.ip}`);
+
+// Limit how often a client may call a route, by the named policy in lib/rateLimit.
+// Use after requireAuth or optionalAuth to key by user, or pass `key` to count
+// clients some other way. Users an admin exempted pass freely. `format` shapes the
+// 429 body for apps with their own error format. When the store fails, requests are
+// let through: an outage shouldn't take the routes down too.
+const rateLimit = (policyName, { key = clientKey, format = (body) => body } = {}) => {
+  const policy = policies[policyName];
+  if (!policy) {
+    throw new Error(`Unknown rate limit policy: ${policyName}`);
+  }
+  const { limit, windowMs } = policy;
+
+  return async (req, res, next) => {
+    if (req.user && req.user.rateLimitExempt) {
+      return next();
+    }
+
+    let counted;
+    try {
+      counted = await rateLimitStore.increment(`${policyName}:${key(req)}`, windowMs);
+    } catch (err) {
+      console.error('Error checking rate limit:', err);
+      return next();
+    }
+
+    const resetSeconds = Math.max(1, Math.ceil((counted.resetAt - Date.now()) / 1000));
+    res.set({
+      'RateLimit-Policy': `${limit};w=${Math.ceil(windowMs / 1000)}`,
+      'RateLimit-Limit': String(limit),
+      'RateLimit-Remaining': String(Math.max(0, limit - counted.count)),
+      'RateLimit-Reset': String(resetSeconds),
+    });
+    if (counted.count > limit) {
+      res.set('Retry-After', String(resetSeconds));
+      return res
+        .status(429)
+        .json(format({ error: 'Too many requests. Please try again later.', retryAfter: resetSeconds }));
+    }
+    next();
+  };
+};
+
+module.exports = {
+  rateLimit,
+};
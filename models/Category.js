@@ -0,0 +1,13 @@
+const mongoose = require('mongoose');
+
+// A category stories can be filed under. Stories refer to it by slug.
+const categorySchema = new mongoose.Schema({
+  slug: { type: String, required: true, unique: true },
+  name: { type: String, required: true },
+  description: { type: String, default: '' },
+  icon: { type: String, default: null }, // An emoji or an image URL
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now },
+});
+
+module.exports = mongoose.model('Category', categorySchema);
@@ -0,0 +1,23 @@
+const mongoose = require('mongoose');
+
+const commentSchema = new mongoose.Schema({
+  storyId: { type: mongoose.Schema.Types.ObjectId, ref: 'Story', required: true },
+  parentId: { type: mongoose.Schema.Types.ObjectId, ref: 'Comment', default: null },
+  rootId: { type: mongoose.Schema.Types.ObjectId, ref: 'Comment', default: null }, // Top-level comment of the thread
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  username: { type: String, required: true },
+  content: { type: String, default: '' },
+  likes: [{ type: String }], // Store Clerk user IDs
+  replyCount: { type: Number, default: 0 },
+  deleted: { type: Boolean, default: false }, // Kept as a placeholder while it still has replies
+  hidden: { type: Boolean, default: false }, // Hidden by a moderator
+  editedAt: { type: Date, default: null },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now },
+});
+
+commentSchema.index({ storyId: 1, parentId: 1, createdAt: 1 });
+commentSchema.index({ rootId: 1, createdAt: 1 });
+commentSchema.index({ userId: 1 });
+
+module.exports = mongoose.model('Comment', commentSchema);
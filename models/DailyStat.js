@@ -0,0 +1,24 @@
+const mongoose = require('mongoose');
+
+// Activity around an author's work during one UTC day. One document per story per
+// day, plus one with storyId null for the author's account (new followers).
+const dailyStatSchema = new mongoose.Schema({
+  authorId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  storyId: { type: mongoose.Schema.Types.ObjectId, ref: 'Story', default: null },
+  day: { type: String, required: true }, // YYYY-MM-DD
+  views: { type: Number, default: 0 },
+  completions: { type: Number, default: 0 },
+  audioPlays: { type: Number, default: 0 },
+  videoPlays: { type: Number, default: 0 },
+  likes: { type: Number, default: 0 },
+  comments: { type: Number, default: 0 },
+  bookmarks: { type: Number, default: 0 },
+  followers: { type: Number, default: 0 },
+});
+
+dailyStatSchema.index({ authorId: 1, storyId: 1, day: 1 }, { unique: true });
+dailyStatSchema.index({ storyId: 1, day: 1 });
+dailyStatSchema.index({ authorId: 1, day: 1 });
+dailyStatSchema.index({ day: 1 }); // Trending stories
+
+module.exports = mongoose.model('DailyStat', dailyStatSchema);
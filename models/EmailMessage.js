@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+
+// An outbound email, rendered when queued. Doubles as the delivery log.
+const emailMessageSchema = new mongoose.Schema({
+  to: { type: String, required: true },
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  template: { type: String, required: true },
+  category: { type: String, default: null }, // Preference that can switch this email off; null for transactional mail
+  subject: { type: String, required: true },
+  html: { type: String, required: true },
+  text: { type: String, required: true },
+  headers: { type: mongoose.Schema.Types.Mixed, default: {} },
+  status: { type: String, enum: ['queued', 'sending', 'sent', 'failed'], default: 'queued' },
+  attempts: { type: Number, default: 0 },
+  maxAttempts: { type: Number, default: 5 },
+  nextAttemptAt: { type: Date, default: Date.now },
+  lockedAt: { type: Date, default: null }, // When a worker claimed it for sending
+  lastError: { type: String, default: null },
+  providerMessageId: { type: String, default: null },
+  sentAt: { type: Date, default: null },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now },
+});
+
+emailMessageSchema.index({ status: 1, nextAttemptAt: 1 });
+emailMessageSchema.index({ userId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('EmailMessage', emailMessageSchema);
@@ -0,0 +1,13 @@
+const mongoose = require('mongoose');
+
+const followSchema = new mongoose.Schema({
+  followerId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  followingId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  createdAt: { type: Date, default: Date.now },
+});
+
+followSchema.index({ followerId: 1, followingId: 1 }, { unique: true });
+followSchema.index({ followingId: 1, createdAt: -1 });
+followSchema.index({ followerId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Follow', followSchema);
@@ -0,0 +1,22 @@
+const mongoose = require('mongoose');
+
+// Audit log of every moderator and admin action
+const moderationActionSchema = new mongoose.Schema({
+  moderatorId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  action: {
+    type: String,
+    enum: ['hide', 'restore', 'delete', 'dismiss', 'set_role', 'set_rate_limit_exempt'],
+    required: true,
+  },
+  targetType: { type: String, enum: ['story', 'comment', 'user'], required: true },
+  targetId: { type: mongoose.Schema.Types.ObjectId, required: true },
+  note: { type: String, default: '' },
+  reportCount: { type: Number, default: 0 }, // Open reports resolved by this action
+  details: { type: mongoose.Schema.Types.Mixed, default: null },
+  createdAt: { type: Date, default: Date.now },
+});
+
+moderationActionSchema.index({ createdAt: -1 });
+moderationActionSchema.index({ targetId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('ModerationAction', moderationActionSchema);
@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+
+// One notification groups repeated events of the same kind, e.g. every like on a
+// story, until the recipient reads it
+const notificationSchema = new mongoose.Schema({
+  recipientId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  type: { type: String, enum: ['like', 'comment_like', 'comment', 'reply', 'follow'], required: true },
+  groupKey: { type: String, required: true },
+  storyId: { type: mongoose.Schema.Types.ObjectId, ref: 'Story', default: null },
+  commentId: { type: mongoose.Schema.Types.ObjectId, ref: 'Comment', default: null },
+  actorIds: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }], // Most recent actors, newest last
+  // Every distinct actor in the group, so someone who acts again is never counted twice
+  allActorIds: { type: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }], select: false },
+  actorCount: { type: Number, default: 0 }, // Number of allActorIds
+  read: { type: Boolean, default: false },
+  readAt: { type: Date, default: null },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now },
+});
+
+notificationSchema.index({ recipientId: 1, updatedAt: -1 });
+notificationSchema.index({ recipientId: 1, read: 1 });
+// At most one unread notification per group
+notificationSchema.index(
+  { recipientId: 1, groupKey: 1 },
+  { unique: true, partialFilterExpression: { read: false } }
+);
+
+module.exports = mongoose.model('Notification', notificationSchema);
@@ -0,0 +1,18 @@
+const mongoose = require('mongoose');
+
+// One pending one-time password per email and purpose. Only an HMAC of the code is stored.
+const otpSchema = new mongoose.Schema({
+  email: { type: String, required: true },
+  // A code is only accepted for what it was sent for
+  purpose: { type: String, enum: ['email_verification', 'password_reset'], required: true },
+  codeHash: { type: String, required: true },
+  attempts: { type: Number, default: 0 }, // Failed verify attempts
+  sentAt: { type: Date, default: Date.now },
+  expiresAt: { type: Date, required: true },
+});
+
+otpSchema.index({ email: 1, purpose: 1 }, { unique: true });
+// MongoDB removes codes once they expire
+otpSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('Otp', otpSchema);
@@ -0,0 +1,13 @@
+const mongoose = require('mongoose');
+
+// One document per OTP sent, counted for rate limiting. `key` is "email:<address>"
+// or "ip:<address>"; documents expire with the rate limit window.
+const otpRequestSchema = new mongoose.Schema({
+  key: { type: String, required: true },
+  createdAt: { type: Date, default: Date.now },
+});
+
+otpRequestSchema.index({ key: 1, createdAt: -1 });
+otpRequestSchema.index({ createdAt: 1 }, { expireAfterSeconds: 60 * 60 });
+
+module.exports = mongoose.model('OtpRequest', otpRequestSchema);
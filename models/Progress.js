@@ -0,0 +1,19 @@
+const mongoose = require('mongoose');
+
+const progressSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  storyId: { type: mongoose.Schema.Types.ObjectId, ref: 'Story', required: true },
+  scrollPercent: { type: Number, min: 0, max: 100, default: 0 },
+  audioPosition: { type: Number, min: 0, default: 0 }, // Seconds into the story's audioUrl
+  videoPosition: { type: Number, min: 0, default: 0 }, // Seconds into the story's videoUrl
+  completed: { type: Boolean, default: false },
+  completedAt: { type: Date, default: null },
+  lastReadAt: { type: Date, default: Date.now },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now },
+});
+
+progressSchema.index({ userId: 1, storyId: 1 }, { unique: true });
+progressSchema.index({ userId: 1, completed: 1, lastReadAt: -1 });
+
+module.exports = mongoose.model('Progress', progressSchema);
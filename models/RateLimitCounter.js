@@ -0,0 +1,14 @@
+const mongoose = require('mongoose');
+
+// Requests counted against a rate limit in one fixed window, for the shared "mongo"
+// rate limit store. `key` is "<policy>:user:<clerkId>" or "<policy>:ip:<address>"
+// plus the window's start; documents expire when the window ends.
+const rateLimitCounterSchema = new mongoose.Schema({
+  key: { type: String, required: true, unique: true },
+  count: { type: Number, default: 0 },
+  expiresAt: { type: Date, required: true },
+});
+
+rateLimitCounterSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RateLimitCounter', rateLimitCounterSchema);
@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+
+const readingListItemSchema = new mongoose.Schema(
+  {
+    storyId: { type: mongoose.Schema.Types.ObjectId, ref: 'Story', required: true },
+    note: { type: String, default: '' }, // Private to the list's owner, even when the list is shared
+    addedAt: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+const readingListSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  name: { type: String, required: true },
+  description: { type: String, default: '' },
+  isDefault: { type: Boolean, default: false }, // Where plain bookmarks go; every user has at most one
+  items: [readingListItemSchema], // In the owner's reading order
+  shareToken: { type: String, default: undefined }, // Set while the list is shared by link
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now },
+});
+
+readingListSchema.index({ userId: 1, updatedAt: -1 });
+readingListSchema.index({ userId: 1 }, { unique: true, partialFilterExpression: { isDefault: true } });
+readingListSchema.index({ userId: 1, 'items.storyId': 1 });
+readingListSchema.index({ 'items.storyId': 1 });
+readingListSchema.index({ shareToken: 1 }, { unique: true, sparse: true });
+
+module.exports = mongoose.model('ReadingList', readingListSchema);
@@ -0,0 +1,12 @@
+const mongoose = require('mongoose');
+
+const readingStreakSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, unique: true },
+  currentStreak: { type: Number, default: 0 },
+  longestStreak: { type: Number, default: 0 },
+  lastReadDate: { type: String, default: null }, // YYYY-MM-DD in the user's time zone
+  timeZone: { type: String, default: 'UTC' },
+  updatedAt: { type: Date, default: Date.now },
+});
+
+module.exports = mongoose.model('ReadingStreak', readingStreakSchema);
@@ -0,0 +1,16 @@
+const mongoose = require('mongoose');
+
+// Remembers that a viewer triggered an event on a story, so repeats within the
+// dedup window aren't counted again. `viewerKey` is "user:<id>", "visitor:<id>"
+// or "anon:<hash>"; documents expire at the end of the window.
+const recentEventSchema = new mongoose.Schema({
+  storyId: { type: mongoose.Schema.Types.ObjectId, ref: 'Story', required: true },
+  type: { type: String, required: true },
+  viewerKey: { type: String, required: true },
+  expiresAt: { type: Date, required: true },
+});
+
+recentEventSchema.index({ storyId: 1, type: 1, viewerKey: 1 }, { unique: true });
+recentEventSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RecentEvent', recentEventSchema);
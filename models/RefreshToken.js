@@ -0,0 +1,19 @@
+const mongoose = require('mongoose');
+
+// A refresh token of the local auth provider. Only a hash of the token is stored.
+// Each refresh rotates the token; rotated tokens stay (revoked) until they expire
+// so reuse of a stolen one can be detected and its whole family revoked.
+const refreshTokenSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  tokenHash: { type: String, required: true, unique: true },
+  family: { type: String, required: true }, // Shared by all tokens rotated from one login
+  revokedAt: { type: Date, default: null },
+  expiresAt: { type: Date, required: true },
+  createdAt: { type: Date, default: Date.now },
+});
+
+refreshTokenSchema.index({ userId: 1 });
+refreshTokenSchema.index({ family: 1 });
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RefreshToken', refreshTokenSchema);
@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+
+const reportSchema = new mongoose.Schema({
+  targetType: { type: String, enum: ['story', 'comment'], required: true },
+  targetId: { type: mongoose.Schema.Types.ObjectId, required: true },
+  storyId: { type: mongoose.Schema.Types.ObjectId, ref: 'Story', required: true },
+  reporterId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  reason: {
+    type: String,
+    enum: ['spam', 'harassment', 'hate', 'violence', 'sexual', 'misinformation', 'other'],
+    required: true,
+  },
+  details: { type: String, default: '' },
+  status: { type: String, enum: ['open', 'actioned', 'dismissed'], default: 'open' },
+  resolvedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  resolvedAt: { type: Date, default: null },
+  createdAt: { type: Date, default: Date.now },
+});
+
+reportSchema.index({ status: 1, targetId: 1 });
+// A user can only have one open report per piece of content
+reportSchema.index(
+  { reporterId: 1, targetId: 1 },
+  { unique: true, partialFilterExpression: { status: 'open' } }
+);
+
+module.exports = mongoose.model('Report', reportSchema);
@@ -0,0 +1,17 @@
+const mongoose = require('mongoose');
+
+const seriesSchema = new mongoose.Schema({
+  title: { type: String, required: true },
+  description: { type: String, default: '' },
+  authorId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  coverImageUrl: { type: String, default: null },
+  coverFileId: { type: String, default: null },
+  chapters: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Story' }], // Stories in reading order
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now },
+});
+
+seriesSchema.index({ authorId: 1, updatedAt: -1 });
+seriesSchema.index({ chapters: 1 });
+
+module.exports = mongoose.model('Series', seriesSchema);
@@ -1,12 +1,89 @@
 const mongoose = require('mongoose');
+const { DEFAULT_LANGUAGE } = require('../lib/i18n');
+
+// A story's title and content in another language. The derived fields are rendered
+// the same way as the story's own.
+const translationSchema = new mongoose.Schema(
+  {
+    language: { type: String, required: true }, // ISO 639-1 code, see lib/i18n.js
+    title: { type: String, required: true },
+    content: { type: String, required: true }, // Markdown
+    contentHtml: { type: String, default: '' },
+    wordCount: { type: Number, default: 0 },
+    readingTimeMinutes: { type: Number, default: 0 },
+    excerpt: { type: String, default: '' },
+    translatorId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    createdAt: { type: Date, default: Date.now },
+    updatedAt: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
 
 const storySchema = new mongoose.Schema({
   title: { type: String, required: true },
-  content: { type: String, required: true },
-  imageUrl: { type: String, required: true },
-  category: { type: String, default: 'General' },
-  author: { type: String, default: 'Unknown' },
+  content: { type: String, required: true }, // Markdown
+  // Derived from content by lib/markdown.js whenever it changes
+  contentHtml: { type: String, default: '' }, // Sanitized
+  wordCount: { type: Number, default: 0 },
+  readingTimeMinutes: { type: Number, default: 0 },
+  excerpt: { type: String, default: '' }, // Plain text, returned by list endpoints instead of the content
+  language: { type: String, default: DEFAULT_LANGUAGE }, // The language the story was written in
+  translations: [translationSchema], // At most one per language, never in the story's own
+  category: { type: String, required: true }, // Slug of a Category
+  tags: [{ type: String }], // Normalized by lib/categories.js
+  authorId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  author: { type: String, required: true },
+  authorImage: { type: String },
+  imageUrl: { type: String },
+  audioUrl: { type: String },
+  videoUrl: { type: String },
+  imageFileId: { type: String, default: null }, // Storage backend ids, for removing replaced media
+  audioFileId: { type: String, default: null },
+  videoFileId: { type: String, default: null },
+  imageWidth: { type: Number, default: null },
+  imageHeight: { type: Number, default: null },
+  audioDuration: { type: Number, default: null }, // Seconds
+  videoDuration: { type: Number, default: null },
+  likes: [{ type: String }], // Store Clerk user IDs
+  bookmarks: [{ type: String }], // Store Clerk user IDs
+  likeCount: { type: Number, default: 0 }, // Kept in step with likes by lib/reactions.js
+  bookmarkCount: { type: Number, default: 0 },
+  commentCount: { type: Number, default: 0 }, // Comments live in their own collection
+  viewCount: { type: Number, default: 0 }, // Deduplicated, see lib/analytics.js
+  status: { type: String, enum: ['draft', 'published'], default: 'published' },
+  publishedAt: { type: Date, default: null }, // A future date means the story is scheduled
+  revision: { type: Number, default: 0 }, // Latest StoryRevision number
+  hidden: { type: Boolean, default: false }, // Hidden by a moderator
+  announcedAt: { type: Date, default: null }, // When the story went out on the live "new stories" stream
+  seriesId: { type: mongoose.Schema.Types.ObjectId, ref: 'Series', default: null },
+  deletedAt: { type: Date, default: null }, // In the author's trash since, see lib/stories.js
   createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now },
 });
 
-module.exports = mongoose.model('Story', storySchema);
\ No newline at end of file
+storySchema.index({ status: 1, publishedAt: -1 });
+storySchema.index({ authorId: 1, status: 1, updatedAt: -1 });
+storySchema.index({ likeCount: -1, _id: -1 });
+storySchema.index({ category: 1, publishedAt: -1 });
+storySchema.index({ tags: 1 });
+storySchema.index({ authorId: 1, deletedAt: -1 });
+
+// Full-text search index over every language a story is in; title matches weigh
+// the most, body matches the least. MongoDB would otherwise read `language` as the
+// stemming language and reject the languages it has no stemmer for.
+storySchema.index(
+  {
+    title: 'text',
+    category: 'text',
+    content: 'text',
+    'translations.title': 'text',
+    'translations.content': 'text',
+  },
+  {
+    name: 'story_text_search',
+    weights: { title: 10, 'translations.title': 10, category: 4, content: 1, 'translations.content': 1 },
+    language_override: 'searchLanguage',
+  }
+);
+
+module.exports = mongoose.model('Story', storySchema);
@@ -0,0 +1,16 @@
+const mongoose = require('mongoose');
+
+const storyRevisionSchema = new mongoose.Schema({
+  storyId: { type: mongoose.Schema.Types.ObjectId, ref: 'Story', required: true },
+  number: { type: Number, required: true },
+  title: { type: String, required: true },
+  content: { type: String, required: true },
+  category: { type: String, required: true },
+  editorId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  restoredFrom: { type: Number, default: null }, // Set when this revision rolled back to an older one
+  createdAt: { type: Date, default: Date.now },
+});
+
+storyRevisionSchema.index({ storyId: 1, number: -1 }, { unique: true });
+
+module.exports = mongoose.model('StoryRevision', storyRevisionSchema);
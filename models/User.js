@@ -1,9 +1,34 @@
 const mongoose = require('mongoose');
 
 const userSchema = new mongoose.Schema({
-  username: { type: String, required: true, unique: true },
-  password: { type: String, required: true },
+  // Public user id: the Clerk user id, or "local_<_id>" for accounts of the local auth provider
+  clerkId: { type: String, required: true, unique: true },
+  authProvider: { type: String, enum: ['clerk', 'local'], default: 'clerk' },
+  passwordHash: { type: String, select: false }, // Local accounts only
+  tokenVersion: { type: Number, default: 0 }, // Bumped to invalidate a local account's access tokens
+  clerkUpdatedAt: { type: Date, default: null }, // Clerk's updated_at of the profile last synced
+  username: { type: String, unique: true, sparse: true },
+  email: { type: String, unique: true, sparse: true },
+  imageUrl: { type: String },
+  imageFileId: { type: String, default: null }, // Set when the image was uploaded here rather than by Clerk
+  imageWidth: { type: Number, default: null },
+  imageHeight: { type: Number, default: null },
+  bio: { type: String, default: '' },
+  role: { type: String, enum: ['user', 'moderator', 'admin'], default: 'user' },
+  rateLimitExempt: { type: Boolean, default: false }, // Set by admins, see middleware/rateLimit.js
+  followerCount: { type: Number, default: 0 },
+  followingCount: { type: Number, default: 0 },
+  mutedNotificationTypes: [{ type: String }],
+  emailPreferences: {
+    comments: { type: Boolean, default: true }, // New comments on the user's stories
+    digest: { type: Boolean, default: true }, // Weekly digest
+  },
+  unsubscribeToken: { type: String, unique: true, sparse: true }, // Set the first time an optional email is sent
+  lastDigestAt: { type: Date, default: null },
+  deletionScheduledAt: { type: Date, default: null }, // When the account will be deleted, unless cancelled first
+  deletingAt: { type: Date, default: null }, // When a worker or webhook started deleting the account
   createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now },
 });
 
-module.exports = mongoose.model('User', userSchema);
\ No newline at end of file
+module.exports = mongoose.model('User', userSchema);
@@ -0,0 +1,101 @@
+const express = require('express');
+const router = express.Router();
+const Story = require('../models/Story');
+const { requireAuth, optionalAuth } = require('../middleware/auth');
+const { canView, isAuthor } = require('../lib/stories');
+const {
+  TRACKED_EVENTS,
+  STORY_STAT_FIELDS,
+  ACCOUNT_STAT_FIELDS,
+  viewerKeyFor,
+  trackEvent,
+  parseStatsRange,
+  statsSeries,
+} = require('../lib/analytics');
+
+// Public route: Report that the reader viewed a story, finished it or started its
+// audio or video. Repeats by the same reader within half an hour count once.
+// Anonymous clients should send a stable random X-Visitor-Id header.
+router.post('/stories/:id/track', optionalAuth, async (req, res) => {
+  try {
+    const { event } = req.body || {};
+    if (!Object.hasOwn(TRACKED_EVENTS, event)) {
+      return res.status(400).json({ error: `Invalid event. Use one of: ${Object.keys(TRACKED_EVENTS).join(', ')}.` });
+    }
+    const story = await Story.findById(req.params.id).select('status publishedAt hidden authorId deletedAt');
+    if (!story || !canView(story, req.user)) {
+      return res.status(404).json({ error: 'Story not found' });
+    }
+    res.json({ counted: await trackEvent(story, event, viewerKeyFor(req)) });
+  } catch (err) {
+    console.error('Error tracking story event:', err);
+    res.status(500).json({ error: 'Failed to track event: ' + err.message });
+  }
+});
+
+// Protected route: Daily or weekly stats for one of your stories
+// (?interval=day|week&from=YYYY-MM-DD&to=YYYY-MM-DD, UTC days)
+router.get('/stats/stories/:id', requireAuth, async (req, res) => {
+  try {
+    const range = parseStatsRange(req.query);
+    if (range.error) {
+      return res.status(400).json({ error: range.error });
+    }
+    const story = await Story.findById(req.params.id).select(
+      'title authorId viewCount likeCount bookmarkCount commentCount'
+    );
+    if (!story || !isAuthor(story, req.user)) {
+      return res.status(404).json({ error: 'Story not found' });
+    }
+
+    const { viewCount, likeCount, bookmarkCount, commentCount } = story;
+    res.json({
+      storyId: story._id,
+      title: story.title,
+      current: { viewCount, likeCount, bookmarkCount, commentCount },
+      ...(await statsSeries({ storyId: story._id }, STORY_STAT_FIELDS, range)),
+    });
+  } catch (err) {
+    console.error('Error fetching story stats:', err);
+    res.status(500).json({ error: 'Failed to fetch story stats: ' + err.message });
+  }
+});
+
+// Protected route: Daily or weekly stats across all your stories, plus new followers
+router.get('/stats/account', requireAuth, async (req, res) => {
+  try {
+    const range = parseStatsRange(req.query);
+    if (range.error) {
+      return res.status(400).json({ error: range.error });
+    }
+
+    const [counts] = await Story.aggregate([
+      { $match: { authorId: req.user._id } },
+      {
+        $group: {
+          _id: null,
+          storyCount: { $sum: 1 },
+          viewCount: { $sum: '$viewCount' },
+          likeCount: { $sum: '$likeCount' },
+          bookmarkCount: { $sum: '$bookmarkCount' },
+          commentCount: { $sum: '$commentCount' },
+        },
+      },
+    ]);
+    const { _id, ...current } = counts || {
+      storyCount: 0,
+      viewCount: 0,
+      likeCount: 0,
+      bookmarkCount: 0,
+      commentCount: 0,
+    };
+    current.followerCount = req.user.followerCount;
+
+    res.json({ current, ...(await statsSeries({ authorId: req.user._id }, ACCOUNT_STAT_FIELDS, range)) });
+  } catch (err) {
+    console.error('Error fetching account stats:', err);
+    res.status(500).json({ error: 'Failed to fetch account stats: ' + err.message });
+  }
+});
+
+module.exports = router;
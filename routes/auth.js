@@ -1,54 +1,140 @@
 const express = require('express');
 const router = express.Router();
-const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
-const User = require('../models/User');
+const { requireAuth } = require('../middleware/auth');
+const { rateLimit } = require('../middleware/rateLimit');
+const { authProvider } = require('../lib/auth');
+const local = require('../lib/auth/local');
+const { presentOwnUser } = require('../lib/media');
 
-// Register
-router.post('/register', async (req, res) => {
-  const { username, password } = req.body;
+// Account endpoints of the local provider. With Clerk, sign-up, sign-in and
+// password resets happen in Clerk's own UI instead.
+const localOnly = (req, res, next) => {
+  if (authProvider.name !== 'local') {
+    return res.status(404).json({ error: 'Local accounts are not enabled.' });
+  }
+  next();
+};
+
+const presentSession = (user, { accessToken, refreshToken, expiresIn }) => ({
+  user: presentOwnUser(user),
+  accessToken,
+  refreshToken,
+  expiresIn,
+});
+
+// Protected route: Get the signed-in user, whichever provider they signed in with
+router.get('/me', requireAuth, async (req, res) => {
+  res.json({ ...presentOwnUser(req.user), provider: authProvider.name });
+});
+
+// Public route: Create a local account and sign in
+router.post('/register', localOnly, async (req, res) => {
   try {
-    let user = await User.findOne({ username });
-    if (user) {
-      return res.status(400).json({ message: 'User already exists' });
+    const { username, email, password } = req.body || {};
+    const result = await local.register({ username, email, password });
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
     }
+    res.status(201).json(presentSession(result.user, await local.issueTokens(result.user)));
+  } catch (err) {
+    console.error('Error registering user:', err);
+    res.status(500).json({ error: 'Failed to register: ' + err.message });
+  }
+});
 
-    user = new User({
-      username,
-      password: await bcrypt.hash(password, 10),
-    });
-    await user.save();
+// Guesses at one account's password from one address
+const loginAttemptKey = (req) => {
+  const { login } = req.body || {};
+  return `ip:${req.ip}:${typeof login === 'string' ? login.trim().toLowerCase() : ''}`;
+};
 
-    const token = jwt.sign({ id: user._id }, process.env.JWT_SECRET, {
-      expiresIn: '1h',
-    });
-    res.json({ token, user: { id: user._id, username } });
+// Public route: Sign in with a username or email (`login`) and password
+router.post('/login', localOnly, rateLimit('login', { key: loginAttemptKey }), async (req, res) => {
+  try {
+    const user = await local.login(req.body || {});
+    if (!user) {
+      return res.status(401).json({ error: 'Invalid credentials' });
+    }
+    res.json(presentSession(user, await local.issueTokens(user)));
   } catch (err) {
-    res.status(500).json({ message: 'Server error', error: err.message });
+    console.error('Error logging in:', err);
+    res.status(500).json({ error: 'Failed to log in: ' + err.message });
   }
 });
 
-// Login
-router.post('/login', async (req, res) => {
-  const { username, password } = req.body;
+// Public route: Exchange a refresh token for a new access token and refresh token
+router.post('/refresh', localOnly, async (req, res) => {
   try {
-    const user = await User.findOne({ username });
-    if (!user) {
-      return res.status(400).json({ message: 'Invalid credentials' });
+    const { refreshToken } = req.body || {};
+    if (!refreshToken) {
+      return res.status(400).json({ error: 'refreshToken is required.' });
+    }
+    const result = await local.refresh(refreshToken);
+    if (result.error) {
+      return res.status(401).json({ error: result.error });
+    }
+    res.json(presentSession(result.user, result));
+  } catch (err) {
+    console.error('Error refreshing session:', err);
+    res.status(500).json({ error: 'Failed to refresh session: ' + err.message });
+  }
+});
+
+// Public route: Sign out the session a refresh token belongs to
+router.post('/logout', localOnly, async (req, res) => {
+  try {
+    const { refreshToken } = req.body || {};
+    if (!refreshToken) {
+      return res.status(400).json({ error: 'refreshToken is required.' });
     }
+    await local.logout(refreshToken);
+    res.status(204).send();
+  } catch (err) {
+    console.error('Error logging out:', err);
+    res.status(500).json({ error: 'Failed to log out: ' + err.message });
+  }
+});
 
-    const isMatch = await bcrypt.compare(password, user.password);
-    if (!isMatch) {
-      return res.status(400).json({ message: 'Invalid credentials' });
+// Protected route: Sign out everywhere, revoking every refresh and access token
+router.post('/logout-all', localOnly, requireAuth, async (req, res) => {
+  try {
+    await local.revokeAllSessions(req.user);
+    res.status(204).send();
+  } catch (err) {
+    console.error('Error revoking sessions:', err);
+    res.status(500).json({ error: 'Failed to log out: ' + err.message });
+  }
+});
+
+// Public route: Email a password reset code
+router.post('/password/forgot', localOnly, async (req, res) => {
+  try {
+    const { email } = req.body || {};
+    const result = await local.requestPasswordReset(email, req.ip);
+    if (result.error) {
+      res.set('Retry-After', String(result.retryAfter));
+      return res.status(429).json({ error: result.error, retryAfter: result.retryAfter });
     }
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Error requesting password reset:', err);
+    res.status(500).json({ error: 'Failed to request password reset: ' + err.message });
+  }
+});
 
-    const token = jwt.sign({ id: user._id }, process.env.JWT_SECRET, {
-      expiresIn: '1h',
-    });
-    res.json({ token, user: { id: user._id, username } });
+// Public route: Set a new password with the emailed code. Signs out every session.
+router.post('/password/reset', localOnly, async (req, res) => {
+  try {
+    const { email, otp, password } = req.body || {};
+    const result = await local.resetPassword({ email, otp, password });
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+    res.json({ success: true });
   } catch (err) {
-    res.status(500).json({ message: 'Server error', error: err.message });
+    console.error('Error resetting password:', err);
+    res.status(500).json({ error: 'Failed to reset password: ' + err.message });
   }
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
@@ -0,0 +1,152 @@
+const express = require('express');
+const router = express.Router();
+const Story = require('../models/Story');
+const Category = require('../models/Category');
+const { requireAuth, requireRole } = require('../middleware/auth');
+const { slugify } = require('../lib/slug');
+const {
+  checkCategoryFields,
+  listCategories,
+  listTags,
+  changeCategorySlug,
+  mergeCategories,
+} = require('../lib/categories');
+
+const DEFAULT_TAG_LIMIT = 50;
+const MAX_TAG_LIMIT = 200;
+
+// Load the category from :slug
+const loadCategory = async (req, res, next) => {
+  try {
+    const category = await Category.findOne({ slug: req.params.slug });
+    if (!category) {
+      return res.status(404).json({ error: 'Category not found' });
+    }
+    req.category = category;
+    next();
+  } catch (err) {
+    console.error('Error loading category:', err);
+    res.status(500).json({ error: 'Failed to load category: ' + err.message });
+  }
+};
+
+// Public route: List categories with the number of published stories in each
+router.get('/categories', async (req, res) => {
+  try {
+    res.json(await listCategories());
+  } catch (err) {
+    console.error('Error fetching categories:', err);
+    res.status(500).json({ error: 'Failed to fetch categories: ' + err.message });
+  }
+});
+
+// Public route: List the most used tags with their story counts (?q prefix, ?limit)
+router.get('/tags', async (req, res) => {
+  try {
+    let limit = DEFAULT_TAG_LIMIT;
+    if (req.query.limit !== undefined) {
+      limit = parseInt(req.query.limit, 10);
+      if (!Number.isInteger(limit) || limit < 1) {
+        return res.status(400).json({ error: 'limit must be a positive integer.' });
+      }
+      limit = Math.min(limit, MAX_TAG_LIMIT);
+    }
+    res.json(await listTags({ prefix: req.query.q || null, limit }));
+  } catch (err) {
+    console.error('Error fetching tags:', err);
+    res.status(500).json({ error: 'Failed to fetch tags: ' + err.message });
+  }
+});
+
+// Protected route (admins): Create a category. The slug is derived from the name unless given.
+router.post('/categories', requireAuth, requireRole('admin'), async (req, res) => {
+  try {
+    const { name, description, icon, slug: requestedSlug } = req.body || {};
+    const problem = checkCategoryFields({ name, description, icon }, true);
+    if (problem) {
+      return res.status(400).json({ error: problem });
+    }
+    const slug = slugify(requestedSlug || name);
+    if (!slug) {
+      return res.status(400).json({ error: 'Invalid slug.' });
+    }
+    if (await Category.exists({ slug })) {
+      return res.status(409).json({ error: `A category with the slug "${slug}" already exists.` });
+    }
+
+    const category = new Category({ slug, name: name.trim(), description: description || '', icon: icon || null });
+    await category.save();
+    res.status(201).json({ ...category.toObject(), storyCount: 0 });
+  } catch (err) {
+    console.error('Error creating category:', err);
+    res.status(500).json({ error: 'Failed to create category: ' + err.message });
+  }
+});
+
+// Protected route (admins): Rename a category or change its description or icon. A new `slug`
+// moves all of its stories along.
+router.put('/categories/:slug', requireAuth, requireRole('admin'), loadCategory, async (req, res) => {
+  try {
+    const { category } = req;
+    const { name, description, icon, slug } = req.body || {};
+    const problem = checkCategoryFields({ name, description, icon });
+    if (problem) {
+      return res.status(400).json({ error: problem });
+    }
+    const newSlug = slug === undefined ? category.slug : slugify(slug);
+    if (!newSlug) {
+      return res.status(400).json({ error: 'Invalid slug.' });
+    }
+
+    const moved = await changeCategorySlug(category, newSlug);
+    if (moved.error) {
+      return res.status(409).json({ error: moved.error });
+    }
+    if (name !== undefined) category.name = name.trim();
+    if (description !== undefined) category.description = description;
+    if (icon !== undefined) category.icon = icon || null;
+    category.updatedAt = Date.now();
+    await category.save();
+    res.json({ ...category.toObject(), movedStories: moved.movedStories || 0 });
+  } catch (err) {
+    console.error('Error updating category:', err);
+    res.status(500).json({ error: 'Failed to update category: ' + err.message });
+  }
+});
+
+// Protected route (admins): Merge a category into another (`into`, a slug). Its stories move
+// over and the category is deleted.
+router.post('/categories/:slug/merge', requireAuth, requireRole('admin'), loadCategory, async (req, res) => {
+  try {
+    const { into } = req.body || {};
+    const target = into ? await Category.findOne({ slug: slugify(into) }) : null;
+    if (!target) {
+      return res.status(400).json({ error: 'into must be the slug of another category.' });
+    }
+    if (target._id.equals(req.category._id)) {
+      return res.status(400).json({ error: 'A category cannot be merged into itself.' });
+    }
+    const { movedStories } = await mergeCategories(req.category, target);
+    res.json({ ...target.toObject(), movedStories });
+  } catch (err) {
+    console.error('Error merging categories:', err);
+    res.status(500).json({ error: 'Failed to merge categories: ' + err.message });
+  }
+});
+
+// Protected route (admins): Delete a category nobody has filed a story under. Merge it instead
+// when it has stories.
+router.delete('/categories/:slug', requireAuth, requireRole('admin'), loadCategory, async (req, res) => {
+  try {
+    if (await Story.exists({ category: req.category.slug })) {
+      return res.status(409).json({ error: 'This category still has stories. Merge it into another instead.' });
+    }
+    await Category.deleteOne({ _id: req.category._id });
+    res.status(204).send();
+  } catch (err) {
+    console.error('Error deleting category:', err);
+    res.status(500).json({ error: 'Failed to delete category: ' + err.message });
+  }
+});
+
+module.exports = router;
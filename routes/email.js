@@ -0,0 +1,107 @@
+const express = require('express');
+const router = express.Router();
+const User = require('../models/User');
+const EmailMessage = require('../models/EmailMessage');
+const { requireAuth, requireRole } = require('../middleware/auth');
+const { parseListOptions, cursorFilter, toPage } = require('../lib/storyQuery');
+const { EMAIL_CATEGORIES } = require('../lib/mail');
+
+const MESSAGE_SORT_MODES = {
+  newest: { field: 'createdAt', direction: -1 },
+};
+const MESSAGE_STATUSES = EmailMessage.schema.path('status').enumValues;
+
+const presentPreferences = (user) =>
+  Object.fromEntries(EMAIL_CATEGORIES.map((category) => [category, user.emailPreferences[category] !== false]));
+
+// Protected route: Get the current user's email preferences
+router.get('/preferences', requireAuth, async (req, res) => {
+  res.json({ categories: EMAIL_CATEGORIES, preferences: presentPreferences(req.user) });
+});
+
+// Protected route: Switch email categories on or off, e.g. { "digest": false }
+router.put('/preferences', requireAuth, async (req, res) => {
+  try {
+    const updates = req.body || {};
+    const invalid = Object.entries(updates).some(
+      ([category, enabled]) => !EMAIL_CATEGORIES.includes(category) || typeof enabled !== 'boolean'
+    );
+    if (invalid || !Object.keys(updates).length) {
+      return res
+        .status(400)
+        .json({ error: `Send true or false for any of these categories: ${EMAIL_CATEGORIES.join(', ')}.` });
+    }
+
+    Object.entries(updates).forEach(([category, enabled]) => {
+      req.user.emailPreferences[category] = enabled;
+    });
+    req.user.updatedAt = Date.now();
+    await req.user.save();
+    res.json({ categories: EMAIL_CATEGORIES, preferences: presentPreferences(req.user) });
+  } catch (err) {
+    console.error('Error updating email preferences:', err);
+    res.status(500).json({ error: 'Failed to update email preferences: ' + err.message });
+  }
+});
+
+// Public route: Unsubscribe with the token from an email, without signing in. Takes
+// `token` and an optional `category` (all categories when omitted) from the query
+// or body, so it also serves mail clients' one-click unsubscribe.
+router.post('/unsubscribe', async (req, res) => {
+  try {
+    const token = req.query.token || (req.body && req.body.token);
+    const category = req.query.category || (req.body && req.body.category);
+    if (!token) {
+      return res.status(400).json({ error: 'token is required.' });
+    }
+    if (category && !EMAIL_CATEGORIES.includes(category)) {
+      return res.status(400).json({ error: `Invalid category. Use one of: ${EMAIL_CATEGORIES.join(', ')}.` });
+    }
+
+    const categories = category ? [category] : EMAIL_CATEGORIES;
+    const user = await User.findOneAndUpdate(
+      { unsubscribeToken: String(token) },
+      { $set: Object.fromEntries(categories.map((name) => [`emailPreferences.${name}`, false])) },
+      { new: true }
+    );
+    if (!user) {
+      return res.status(404).json({ error: 'Invalid unsubscribe link.' });
+    }
+    res.json({ unsubscribed: categories, preferences: presentPreferences(user) });
+  } catch (err) {
+    console.error('Error unsubscribing:', err);
+    res.status(500).json({ error: 'Failed to unsubscribe: ' + err.message });
+  }
+});
+
+// Protected route (admins): Outbound emails and their delivery status, optionally by ?status=
+router.get('/messages', requireAuth, requireRole('admin'), async (req, res) => {
+  try {
+    const options = parseListOptions(req.query, { modes: MESSAGE_SORT_MODES, defaultSort: 'newest' });
+    if (options.error) {
+      return res.status(400).json({ error: options.error });
+    }
+    const filter = {};
+    if (req.query.status) {
+      if (!MESSAGE_STATUSES.includes(req.query.status)) {
+        return res.status(400).json({ error: `Invalid status. Use one of: ${MESSAGE_STATUSES.join(', ')}.` });
+      }
+      filter.status = req.query.status;
+    }
+    if (options.after) {
+      Object.assign(filter, cursorFilter(options.after, options.mode));
+    }
+
+    const messages = await EmailMessage.find(filter)
+      .select('-html -text')
+      .sort({ createdAt: -1, _id: -1 })
+      .limit(options.limit + 1);
+    const { items, nextCursor } = toPage(messages, options);
+    res.json({ messages: items, nextCursor });
+  } catch (err) {
+    console.error('Error fetching emails:', err);
+    res.status(500).json({ error: 'Failed to fetch emails: ' + err.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,158 @@
+const express = require('express');
+const router = express.Router();
+const User = require('../models/User');
+const Story = require('../models/Story');
+const Follow = require('../models/Follow');
+const { requireAuth } = require('../middleware/auth');
+const { parseListOptions, cursorFilter, toPage } = require('../lib/storyQuery');
+const { publicStoryFilter, listStories } = require('../lib/stories');
+const { follow, unfollow } = require('../lib/follows');
+const { notify } = require('../lib/notifications');
+
+const FOLLOW_SORT_MODES = {
+  newest: { field: 'createdAt', direction: -1 },
+};
+
+// Load the user from :clerkId, the person being followed or listed
+const loadUser = async (req, res, next) => {
+  try {
+    const user = await User.findOne({ clerkId: req.params.clerkId });
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    req.profileUser = user;
+    next();
+  } catch (err) {
+    console.error('Error loading user:', err);
+    res.status(500).json({ error: 'Failed to load user: ' + err.message });
+  }
+};
+
+// Page through one side of a user's follow relationships
+const listFollows = async (filter, populatePath, query) => {
+  const options = parseListOptions(query, { modes: FOLLOW_SORT_MODES, defaultSort: 'newest' });
+  if (options.error) return options;
+  if (options.after) {
+    Object.assign(filter, cursorFilter(options.after, options.mode));
+  }
+  const follows = await Follow.find(filter)
+    .sort({ createdAt: -1, _id: -1 })
+    .limit(options.limit + 1)
+    .populate(populatePath, 'clerkId username imageUrl bio followerCount followingCount');
+  const { items, nextCursor } = toPage(follows, options);
+  return {
+    users: items
+      .filter((item) => item[populatePath])
+      .map((item) => ({ ...item[populatePath].toObject(), followedAt: item.createdAt })),
+    nextCursor,
+  };
+};
+
+// Protected route: Follow a user
+router.post('/users/:clerkId/follow', requireAuth, loadUser, async (req, res) => {
+  try {
+    if (req.profileUser._id.equals(req.user._id)) {
+      return res.status(400).json({ error: 'You cannot follow yourself.' });
+    }
+    if (await follow(req.user, req.profileUser)) {
+      await notify({ type: 'follow', recipientId: req.profileUser._id, actor: req.user });
+    }
+    const user = await User.findById(req.profileUser._id);
+    res.json({ following: true, followerCount: user.followerCount });
+  } catch (err) {
+    console.error('Error following user:', err);
+    res.status(500).json({ error: 'Failed to follow user: ' + err.message });
+  }
+});
+
+// Protected route: Unfollow a user
+router.delete('/users/:clerkId/follow', requireAuth, loadUser, async (req, res) => {
+  try {
+    await unfollow(req.user, req.profileUser);
+    const user = await User.findById(req.profileUser._id);
+    res.json({ following: false, followerCount: user.followerCount });
+  } catch (err) {
+    console.error('Error unfollowing user:', err);
+    res.status(500).json({ error: 'Failed to unfollow user: ' + err.message });
+  }
+});
+
+// Public route: Get the users following a user
+router.get('/users/:clerkId/followers', loadUser, async (req, res) => {
+  try {
+    const page = await listFollows({ followingId: req.profileUser._id }, 'followerId', req.query);
+    if (page.error) {
+      return res.status(400).json({ error: page.error });
+    }
+    res.json(page);
+  } catch (err) {
+    console.error('Error fetching followers:', err);
+    res.status(500).json({ error: 'Failed to fetch followers: ' + err.message });
+  }
+});
+
+// Public route: Get the users a user follows
+router.get('/users/:clerkId/following', loadUser, async (req, res) => {
+  try {
+    const page = await listFollows({ followerId: req.profileUser._id }, 'followingId', req.query);
+    if (page.error) {
+      return res.status(400).json({ error: page.error });
+    }
+    res.json(page);
+  } catch (err) {
+    console.error('Error fetching following:', err);
+    res.status(500).json({ error: 'Failed to fetch following: ' + err.message });
+  }
+});
+
+// Protected route: Get the home feed. Stories from followed authors, newest first;
+// when there are none, popular stories from the categories the user has liked.
+// Pass ?source=popular to keep paging through the fallback.
+router.get('/feed', requireAuth, async (req, res) => {
+  try {
+    const user = req.user;
+    const source = req.query.source || 'following';
+    if (!['following', 'popular'].includes(source)) {
+      return res.status(400).json({ error: 'Invalid source. Use one of: following, popular.' });
+    }
+
+    if (source === 'following') {
+      const options = parseListOptions({ ...req.query, sort: 'newest' });
+      if (options.error) {
+        return res.status(400).json({ error: options.error });
+      }
+      const authorIds = await Follow.find({ followerId: user._id }).distinct('followingId');
+      const page = authorIds.length
+        ? await listStories(
+            { authorId: { $in: authorIds }, ...publicStoryFilter() },
+            options,
+            user.clerkId,
+            req.languages
+          )
+        : { stories: [], nextCursor: null };
+      // Only fall back on the first page: later pages of an exhausted feed are just empty
+      if (page.stories.length || options.after) {
+        return res.json({ ...page, source: 'following' });
+      }
+    }
+
+    // A cursor from the following feed means nothing here, so only honour it for ?source=popular
+    const after = source === 'popular' ? req.query.after : undefined;
+    const options = parseListOptions({ ...req.query, sort: 'most_liked', after });
+    if (options.error) {
+      return res.status(400).json({ error: options.error });
+    }
+    const likedCategories = await Story.find({ likes: user.clerkId, ...publicStoryFilter() }).distinct('category');
+    const filter = { ...publicStoryFilter(), authorId: { $ne: user._id }, likes: { $ne: user.clerkId } };
+    if (likedCategories.length) {
+      filter.category = { $in: likedCategories };
+    }
+    const page = await listStories(filter, options, user.clerkId, req.languages);
+    res.json({ ...page, source: 'popular' });
+  } catch (err) {
+    console.error('Error fetching feed:', err);
+    res.status(500).json({ error: 'Failed to fetch feed: ' + err.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,246 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Story = require('../models/Story');
+const Comment = require('../models/Comment');
+const Report = require('../models/Report');
+const ModerationAction = require('../models/ModerationAction');
+const { requireAuth, requireRole } = require('../middleware/auth');
+const { parseListOptions, cursorFilter, toPage } = require('../lib/storyQuery');
+const { ROLES } = require('../lib/roles');
+const { TARGET_TYPES, loadTarget, moderate } = require('../lib/moderation');
+const { storyChannel, publish } = require('../lib/events');
+
+// Reported content is reviewed oldest report first
+const QUEUE_SORT_MODES = {
+  oldest: { field: 'firstReportedAt', direction: 1 },
+  newest: { field: 'lastReportedAt', direction: -1 },
+};
+
+const ACTION_SORT_MODES = {
+  newest: { field: 'createdAt', direction: -1 },
+};
+
+const MODERATION_ACTIONS = ['hide', 'restore', 'delete', 'dismiss'];
+
+router.use(requireAuth, requireRole('moderator', 'admin'));
+
+// Get reported content grouped by target, with a preview of each target
+router.get('/queue', async (req, res) => {
+  try {
+    const options = parseListOptions(req.query, { modes: QUEUE_SORT_MODES, defaultSort: 'oldest' });
+    if (options.error) {
+      return res.status(400).json({ error: options.error });
+    }
+    const status = req.query.status || 'open';
+    if (!Report.schema.path('status').enumValues.includes(status)) {
+      return res.status(400).json({ error: 'Invalid status.' });
+    }
+
+    const match = { status };
+    if (req.query.targetType) {
+      if (!TARGET_TYPES.includes(req.query.targetType)) {
+        return res.status(400).json({ error: 'Invalid targetType.' });
+      }
+      match.targetType = req.query.targetType;
+    }
+
+    const { field, direction } = options.mode;
+    const pipeline = [
+      { $match: match },
+      {
+        $group: {
+          _id: '$targetId',
+          targetType: { $first: '$targetType' },
+          storyId: { $first: '$storyId' },
+          reportCount: { $sum: 1 },
+          reasons: { $addToSet: '$reason' },
+          firstReportedAt: { $min: '$createdAt' },
+          lastReportedAt: { $max: '$createdAt' },
+        },
+      },
+    ];
+    if (options.after) {
+      pipeline.push({ $match: cursorFilter(options.after, options.mode) });
+    }
+    pipeline.push({ $sort: { [field]: direction, _id: direction } }, { $limit: options.limit + 1 });
+
+    const { items, nextCursor } = toPage(await Report.aggregate(pipeline), options);
+
+    const ids = (type) => items.filter((item) => item.targetType === type).map((item) => item._id);
+    const [stories, comments] = await Promise.all([
+      Story.find({ _id: { $in: ids('story') } })
+        .select('title category authorId hidden createdAt')
+        .populate('authorId', 'username clerkId'),
+      Comment.find({ _id: { $in: ids('comment') } })
+        .select('storyId content userId hidden deleted createdAt')
+        .populate('userId', 'username clerkId'),
+    ]);
+    const targets = new Map([...stories, ...comments].map((target) => [target._id.toString(), target]));
+
+    res.json({
+      queue: items.map(({ _id, ...item }) => ({
+        targetId: _id,
+        ...item,
+        target: targets.get(_id.toString()) || null,
+      })),
+      nextCursor,
+    });
+  } catch (err) {
+    console.error('Error fetching moderation queue:', err);
+    res.status(500).json({ error: 'Failed to fetch moderation queue: ' + err.message });
+  }
+});
+
+// Get the individual reports filed against a story or comment
+router.get('/:targetType/:targetId/reports', async (req, res) => {
+  try {
+    const { targetType, targetId } = req.params;
+    if (!TARGET_TYPES.includes(targetType)) {
+      return res.status(400).json({ error: 'Invalid target type.' });
+    }
+    if (!mongoose.isValidObjectId(targetId)) {
+      return res.status(404).json({ error: 'Content not found' });
+    }
+    const reports = await Report.find({ targetType, targetId })
+      .populate('reporterId', 'username clerkId')
+      .populate('resolvedBy', 'username')
+      .sort({ createdAt: -1 });
+    res.json(reports);
+  } catch (err) {
+    console.error('Error fetching reports:', err);
+    res.status(500).json({ error: 'Failed to fetch reports: ' + err.message });
+  }
+});
+
+// Hide, restore, delete a story or comment, or dismiss its reports
+router.post('/:targetType/:targetId/:action', async (req, res) => {
+  try {
+    const { targetType, targetId, action } = req.params;
+    const { note = '' } = req.body || {};
+    if (!TARGET_TYPES.includes(targetType)) {
+      return res.status(400).json({ error: 'Invalid target type.' });
+    }
+    if (!MODERATION_ACTIONS.includes(action)) {
+      return res.status(400).json({ error: `Invalid action. Use one of: ${MODERATION_ACTIONS.join(', ')}.` });
+    }
+    if (!mongoose.Types.ObjectId.isValid(targetId)) {
+      return res.status(404).json({ error: 'Content not found' });
+    }
+
+    const target = await loadTarget(targetType, targetId);
+    if (!target || (targetType === 'comment' && target.deleted && action !== 'dismiss')) {
+      return res.status(404).json({ error: 'Content not found' });
+    }
+
+    const logged = await moderate(req.user, action, targetType, target, String(note));
+
+    // Readers watching the story live should see a hidden or deleted comment disappear
+    if (targetType === 'comment' && (action === 'hide' || action === 'delete')) {
+      const story = await Story.findById(target.storyId).select('commentCount');
+      publish(storyChannel(target.storyId), 'comment_delete', {
+        storyId: target.storyId,
+        commentId: target._id,
+        commentCount: story ? story.commentCount : 0,
+      });
+    }
+    res.json(logged);
+  } catch (err) {
+    console.error('Error applying moderation action:', err);
+    res.status(500).json({ error: 'Failed to apply moderation action: ' + err.message });
+  }
+});
+
+// Get the moderation audit log, newest first
+router.get('/actions', async (req, res) => {
+  try {
+    const options = parseListOptions(req.query, { modes: ACTION_SORT_MODES, defaultSort: 'newest' });
+    if (options.error) {
+      return res.status(400).json({ error: options.error });
+    }
+    const filter = {};
+    if (req.query.targetId) {
+      filter.targetId = req.query.targetId;
+    }
+    if (options.after) {
+      Object.assign(filter, cursorFilter(options.after, options.mode));
+    }
+    const actions = await ModerationAction.find(filter)
+      .sort({ createdAt: -1, _id: -1 })
+      .limit(options.limit + 1)
+      .populate('moderatorId', 'username clerkId');
+    const { items, nextCursor } = toPage(actions, options);
+    res.json({ actions: items, nextCursor });
+  } catch (err) {
+    console.error('Error fetching moderation actions:', err);
+    res.status(500).json({ error: 'Failed to fetch moderation actions: ' + err.message });
+  }
+});
+
+// Admin only: change a user's role
+router.put('/users/:clerkId/role', requireRole('admin'), async (req, res) => {
+  try {
+    const { role } = req.body || {};
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({ error: `Invalid role. Use one of: ${ROLES.join(', ')}.` });
+    }
+
+    const user = await User.findOne({ clerkId: req.params.clerkId });
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const previousRole = user.role;
+    user.role = role;
+    user.updatedAt = Date.now();
+    await user.save();
+
+    await ModerationAction.create({
+      moderatorId: req.user._id,
+      action: 'set_role',
+      targetType: 'user',
+      targetId: user._id,
+      details: { from: previousRole, to: role },
+    });
+    res.json({ clerkId: user.clerkId, username: user.username, role: user.role });
+  } catch (err) {
+    console.error('Error updating user role:', err);
+    res.status(500).json({ error: 'Failed to update user role: ' + err.message });
+  }
+});
+
+// Admin only: exempt a user from rate limits ({ exempt: true }), e.g. an account that
+// imports stories in bulk, or take the exemption back
+router.put('/users/:clerkId/rate-limit', requireRole('admin'), async (req, res) => {
+  try {
+    const { exempt } = req.body || {};
+    if (typeof exempt !== 'boolean') {
+      return res.status(400).json({ error: 'exempt must be true or false.' });
+    }
+
+    const user = await User.findOne({ clerkId: req.params.clerkId });
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const previous = user.rateLimitExempt;
+    user.rateLimitExempt = exempt;
+    user.updatedAt = Date.now();
+    await user.save();
+
+    await ModerationAction.create({
+      moderatorId: req.user._id,
+      action: 'set_rate_limit_exempt',
+      targetType: 'user',
+      targetId: user._id,
+      details: { from: previous, to: exempt },
+    });
+    res.json({ clerkId: user.clerkId, username: user.username, rateLimitExempt: user.rateLimitExempt });
+  } catch (err) {
+    console.error('Error updating rate limit exemption:', err);
+    res.status(500).json({ error: 'Failed to update rate limit exemption: ' + err.message });
+  }
+});
+
+module.exports = router;
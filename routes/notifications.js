@@ -0,0 +1,118 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const Notification = require('../models/Notification');
+const { requireAuth } = require('../middleware/auth');
+const { parseListOptions, cursorFilter, toPage } = require('../lib/storyQuery');
+const { NOTIFICATION_TYPES, formatNotification } = require('../lib/notifications');
+
+// Notifications are listed by their latest activity
+const NOTIFICATION_SORT_MODES = {
+  recent: { field: 'updatedAt', direction: -1 },
+};
+
+router.use(requireAuth);
+
+// Get the current user's notifications, optionally only unread ones (?unread=true)
+router.get('/', async (req, res) => {
+  try {
+    const options = parseListOptions(req.query, { modes: NOTIFICATION_SORT_MODES, defaultSort: 'recent' });
+    if (options.error) {
+      return res.status(400).json({ error: options.error });
+    }
+
+    const filter = { recipientId: req.user._id };
+    if (req.query.unread === 'true') {
+      filter.read = false;
+    }
+    if (options.after) {
+      Object.assign(filter, cursorFilter(options.after, options.mode));
+    }
+    const notifications = await Notification.find(filter)
+      .sort({ updatedAt: -1, _id: -1 })
+      .limit(options.limit + 1)
+      .populate('actorIds', 'clerkId username imageUrl')
+      .populate('storyId', 'title imageUrl');
+    const { items, nextCursor } = toPage(notifications, options);
+
+    res.json({ notifications: items.map(formatNotification), nextCursor });
+  } catch (err) {
+    console.error('Error fetching notifications:', err);
+    res.status(500).json({ error: 'Failed to fetch notifications: ' + err.message });
+  }
+});
+
+// Get the number of unread notifications
+router.get('/unread-count', async (req, res) => {
+  try {
+    const count = await Notification.countDocuments({ recipientId: req.user._id, read: false });
+    res.json({ count });
+  } catch (err) {
+    console.error('Error counting notifications:', err);
+    res.status(500).json({ error: 'Failed to count notifications: ' + err.message });
+  }
+});
+
+// Get the notification types the current user has muted
+router.get('/preferences', async (req, res) => {
+  res.json({ types: NOTIFICATION_TYPES, muted: req.user.mutedNotificationTypes });
+});
+
+// Replace the list of muted notification types
+router.put('/preferences', async (req, res) => {
+  try {
+    const { muted } = req.body || {};
+    if (!Array.isArray(muted) || muted.some((type) => !NOTIFICATION_TYPES.includes(type))) {
+      return res
+        .status(400)
+        .json({ error: `muted must be a list of notification types: ${NOTIFICATION_TYPES.join(', ')}.` });
+    }
+
+    req.user.mutedNotificationTypes = [...new Set(muted)];
+    req.user.updatedAt = Date.now();
+    await req.user.save();
+    res.json({ types: NOTIFICATION_TYPES, muted: req.user.mutedNotificationTypes });
+  } catch (err) {
+    console.error('Error updating notification preferences:', err);
+    res.status(500).json({ error: 'Failed to update notification preferences: ' + err.message });
+  }
+});
+
+// Mark every notification as read
+router.post('/read-all', async (req, res) => {
+  try {
+    const { modifiedCount } = await Notification.updateMany(
+      { recipientId: req.user._id, read: false },
+      { $set: { read: true, readAt: Date.now() } }
+    );
+    res.json({ updated: modifiedCount });
+  } catch (err) {
+    console.error('Error marking notifications as read:', err);
+    res.status(500).json({ error: 'Failed to mark notifications as read: ' + err.message });
+  }
+});
+
+// Mark one notification as read
+router.post('/:id/read', async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ error: 'Notification not found' });
+    }
+    const notification = await Notification.findOneAndUpdate(
+      { _id: req.params.id, recipientId: req.user._id },
+      { $set: { read: true, readAt: Date.now() } },
+      { new: true }
+    )
+      .populate('actorIds', 'clerkId username imageUrl')
+      .populate('storyId', 'title imageUrl');
+    if (!notification) {
+      return res.status(404).json({ error: 'Notification not found' });
+    }
+    res.json(formatNotification(notification));
+  } catch (err) {
+    console.error('Error marking notification as read:', err);
+    res.status(500).json({ error: 'Failed to mark notification as read: ' + err.message });
+  }
+});
+
+module.exports = router;
@@ -1,44 +1,153 @@
 const express = require('express');
 const router = express.Router();
+const mongoose = require('mongoose');
 const Progress = require('../models/Progress');
-const authMiddleware = require('../middleware/auth');
+const Story = require('../models/Story');
+const { requireAuth } = require('../middleware/auth');
+const { parseListOptions, cursorFilter, toPage } = require('../lib/storyQuery');
+const { canView } = require('../lib/stories');
+const { isValidTimeZone, recordReadingDay, getStreak } = require('../lib/streaks');
+const { userViewerKey, trackEvent } = require('../lib/analytics');
 
-// Get progress for a user
-router.get('/:userId', authMiddleware, async (req, res) => {
+// The continue-reading list is ordered by when each story was last opened
+const CONTINUE_SORT_MODES = {
+  recent: { field: 'lastReadAt', direction: -1 },
+};
+
+const isNonNegativeNumber = (value) => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+
+// A :storyId that can't be a story id matches no story
+router.param('storyId', (req, res, next, storyId) => {
+  if (!mongoose.isValidObjectId(storyId)) {
+    return res.status(404).json({ error: 'Story not found' });
+  }
+  next();
+});
+
+// Get unfinished stories, most recently read first
+router.get('/continue', requireAuth, async (req, res) => {
+  try {
+    const options = parseListOptions(req.query, { modes: CONTINUE_SORT_MODES, defaultSort: 'recent' });
+    if (options.error) {
+      return res.status(400).json({ error: options.error });
+    }
+
+    const filter = { userId: req.user._id, completed: false };
+    if (options.after) {
+      Object.assign(filter, cursorFilter(options.after, options.mode));
+    }
+    const entries = await Progress.find(filter)
+      .sort({ lastReadAt: -1, _id: -1 })
+      .limit(options.limit + 1)
+      .populate(
+        'storyId',
+        'title category author imageUrl audioUrl videoUrl status publishedAt hidden authorId deletedAt'
+      );
+    const { items, nextCursor } = toPage(entries, options);
+
+    res.json({
+      // Stories deleted, trashed or hidden since they were last read are skipped
+      progress: items.filter((entry) => entry.storyId && canView(entry.storyId, req.user)),
+      nextCursor,
+    });
+  } catch (err) {
+    console.error('Error fetching continue reading list:', err);
+    res.status(500).json({ error: 'Failed to fetch continue reading list: ' + err.message });
+  }
+});
+
+// Get the current user's daily reading streak
+router.get('/streak', requireAuth, async (req, res) => {
+  try {
+    res.json(await getStreak(req.user._id));
+  } catch (err) {
+    console.error('Error fetching reading streak:', err);
+    res.status(500).json({ error: 'Failed to fetch reading streak: ' + err.message });
+  }
+});
+
+// Get the resume position for a story
+router.get('/:storyId', requireAuth, async (req, res) => {
   try {
-    const progress = await Progress.find({ userId: req.params.userId });
+    const progress = await Progress.findOne({ userId: req.user._id, storyId: req.params.storyId });
+    if (!progress) {
+      return res.status(404).json({ error: 'No reading progress for this story' });
+    }
     res.json(progress);
   } catch (err) {
-    res.status(500).json({ message: 'Server error', error: err.message });
+    console.error('Error fetching reading progress:', err);
+    res.status(500).json({ error: 'Failed to fetch reading progress: ' + err.message });
   }
 });
 
-// Update or create progress
-router.post('/', authMiddleware, async (req, res) => {
-  const { storyId, progress } = req.body;
+// Save the resume position for a story
+router.put('/:storyId', requireAuth, async (req, res) => {
   try {
-    const existingProgress = await Progress.findOne({
-      userId: req.user.id,
-      storyId,
-    });
+    const { storyId } = req.params;
+    const { scrollPercent, audioPosition, videoPosition, completed, timeZone = 'UTC' } = req.body || {};
+
+    if (scrollPercent !== undefined && !(isNonNegativeNumber(scrollPercent) && scrollPercent <= 100)) {
+      return res.status(400).json({ error: 'scrollPercent must be a number between 0 and 100.' });
+    }
+    if (audioPosition !== undefined && !isNonNegativeNumber(audioPosition)) {
+      return res.status(400).json({ error: 'audioPosition must be a non-negative number of seconds.' });
+    }
+    if (videoPosition !== undefined && !isNonNegativeNumber(videoPosition)) {
+      return res.status(400).json({ error: 'videoPosition must be a non-negative number of seconds.' });
+    }
+    if (completed !== undefined && typeof completed !== 'boolean') {
+      return res.status(400).json({ error: 'completed must be a boolean.' });
+    }
+    if (!isValidTimeZone(timeZone)) {
+      return res.status(400).json({ error: 'Invalid timeZone.' });
+    }
+
+    const story = await Story.findById(storyId);
+    if (!story || !canView(story, req.user)) {
+      return res.status(404).json({ error: 'Story not found' });
+    }
 
-    if (existingProgress) {
-      existingProgress.progress = progress;
-      existingProgress.updatedAt = new Date();
-      await existingProgress.save();
-      res.json(existingProgress);
-    } else {
-      const newProgress = new Progress({
-        userId: req.user.id,
-        storyId,
-        progress,
-      });
-      await newProgress.save();
-      res.json(newProgress);
+    const progress =
+      (await Progress.findOne({ userId: req.user._id, storyId: story._id })) ||
+      new Progress({ userId: req.user._id, storyId: story._id });
+
+    if (scrollPercent !== undefined) progress.scrollPercent = scrollPercent;
+    if (audioPosition !== undefined) progress.audioPosition = audioPosition;
+    if (videoPosition !== undefined) progress.videoPosition = videoPosition;
+
+    // Reaching the end of the text counts as finishing the story
+    const isCompleted = completed !== undefined ? completed : progress.completed || progress.scrollPercent === 100;
+    const justCompleted = isCompleted && !progress.completed;
+    if (justCompleted) {
+      progress.completedAt = Date.now();
+    } else if (!isCompleted) {
+      progress.completedAt = null;
     }
+    progress.completed = isCompleted;
+    progress.lastReadAt = Date.now();
+    progress.updatedAt = Date.now();
+    await progress.save();
+
+    await recordReadingDay(req.user._id, timeZone);
+    if (justCompleted) {
+      await trackEvent(story, 'complete', userViewerKey(req.user));
+    }
+    res.json(progress);
+  } catch (err) {
+    console.error('Error saving reading progress:', err);
+    res.status(500).json({ error: 'Failed to save reading progress: ' + err.message });
+  }
+});
+
+// Clear the resume position for a story
+router.delete('/:storyId', requireAuth, async (req, res) => {
+  try {
+    await Progress.deleteOne({ userId: req.user._id, storyId: req.params.storyId });
+    res.status(204).send();
   } catch (err) {
-    res.status(500).json({ message: 'Server error', error: err.message });
+    console.error('Error clearing reading progress:', err);
+    res.status(500).json({ error: 'Failed to clear reading progress: ' + err.message });
   }
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
@@ -0,0 +1,246 @@
+const express = require('express');
+const router = express.Router();
+const User = require('../models/User');
+const Story = require('../models/Story');
+const ReadingList = require('../models/ReadingList');
+const { requireAuth, optionalAuth } = require('../middleware/auth');
+const { canView } = require('../lib/stories');
+const { presentUser } = require('../lib/media');
+const {
+  checkListFields,
+  checkNote,
+  getDefaultList,
+  addToList,
+  removeFromList,
+  shareList,
+  unshareList,
+  presentReadingList,
+  listReadingLists,
+  deleteReadingList,
+} = require('../lib/readingLists');
+
+// Load the list from :id. Lists are private, so other people's lists are reported
+// as missing rather than forbidden.
+const loadOwnList = async (req, res, next) => {
+  try {
+    const list = await ReadingList.findById(req.params.id);
+    if (!list || list.userId.toString() !== req.user._id.toString()) {
+      return res.status(404).json({ error: 'Reading list not found' });
+    }
+    req.readingList = list;
+    next();
+  } catch (err) {
+    console.error('Error loading reading list:', err);
+    res.status(500).json({ error: 'Failed to load reading list: ' + err.message });
+  }
+};
+
+// Protected route: List your reading lists with their item counts. The default
+// list, where plain bookmarks go, always exists and comes first.
+router.get('/', requireAuth, async (req, res) => {
+  try {
+    await getDefaultList(req.user);
+    res.json(await listReadingLists(req.user));
+  } catch (err) {
+    console.error('Error fetching reading lists:', err);
+    res.status(500).json({ error: 'Failed to fetch reading lists: ' + err.message });
+  }
+});
+
+// Protected route: Create a reading list
+router.post('/', requireAuth, async (req, res) => {
+  try {
+    const { name, description } = req.body || {};
+    const problem = checkListFields({ name, description }, true);
+    if (problem) {
+      return res.status(400).json({ error: problem });
+    }
+    const list = new ReadingList({ userId: req.user._id, name: name.trim(), description: description || '' });
+    await list.save();
+    res.status(201).json(await presentReadingList(list, req.user, req.languages));
+  } catch (err) {
+    console.error('Error creating reading list:', err);
+    res.status(500).json({ error: 'Failed to create reading list: ' + err.message });
+  }
+});
+
+// Public route: View a list someone shared by link. Their private notes are left out.
+router.get('/shared/:token', optionalAuth, async (req, res) => {
+  try {
+    const list = await ReadingList.findOne({ shareToken: String(req.params.token) });
+    const owner = list
+      ? await User.findById(list.userId).select('clerkId username imageUrl imageWidth imageHeight')
+      : null;
+    if (!owner) {
+      return res.status(404).json({ error: 'Reading list not found' });
+    }
+    res.json({ ...(await presentReadingList(list, req.user, req.languages)), owner: presentUser(owner) });
+  } catch (err) {
+    console.error('Error fetching shared reading list:', err);
+    res.status(500).json({ error: 'Failed to fetch reading list: ' + err.message });
+  }
+});
+
+// Protected route: Get one of your lists with its stories, notes and order
+router.get('/:id', requireAuth, loadOwnList, async (req, res) => {
+  try {
+    res.json(await presentReadingList(req.readingList, req.user, req.languages));
+  } catch (err) {
+    console.error('Error fetching reading list:', err);
+    res.status(500).json({ error: 'Failed to fetch reading list: ' + err.message });
+  }
+});
+
+// Protected route: Rename a list or change its description
+router.put('/:id', requireAuth, loadOwnList, async (req, res) => {
+  try {
+    const list = req.readingList;
+    const { name, description } = req.body || {};
+    const problem = checkListFields({ name, description });
+    if (problem) {
+      return res.status(400).json({ error: problem });
+    }
+    if (name !== undefined) list.name = name.trim();
+    if (description !== undefined) list.description = description;
+    list.updatedAt = Date.now();
+    await list.save();
+    res.json(await presentReadingList(list, req.user, req.languages));
+  } catch (err) {
+    console.error('Error updating reading list:', err);
+    res.status(500).json({ error: 'Failed to update reading list: ' + err.message });
+  }
+});
+
+// Protected route: Delete a list. Its stories stay bookmarked if they're in another list.
+router.delete('/:id', requireAuth, loadOwnList, async (req, res) => {
+  try {
+    if (req.readingList.isDefault) {
+      return res.status(400).json({ error: 'The default reading list cannot be deleted.' });
+    }
+    await deleteReadingList(req.readingList, req.user);
+    res.status(204).send();
+  } catch (err) {
+    console.error('Error deleting reading list:', err);
+    res.status(500).json({ error: 'Failed to delete reading list: ' + err.message });
+  }
+});
+
+// Protected route: Save a story to a list with an optional note, at the end or at a
+// 1-based `position`
+router.post('/:id/items', requireAuth, loadOwnList, async (req, res) => {
+  try {
+    const list = req.readingList;
+    const { storyId, note, position } = req.body || {};
+
+    const story = storyId ? await Story.findById(storyId).select('status publishedAt hidden authorId deletedAt') : null;
+    if (!story || !canView(story, req.user)) {
+      return res.status(404).json({ error: 'Story not found' });
+    }
+    const problem = checkNote(note);
+    if (problem) {
+      return res.status(400).json({ error: problem });
+    }
+    if (position !== undefined && (!Number.isInteger(position) || position < 1)) {
+      return res.status(400).json({ error: 'position must be a positive integer.' });
+    }
+
+    const index = position === undefined ? null : Math.min(position - 1, list.items.length);
+    const added = await addToList(list, req.user, story._id, { note: note || '', index });
+    if (!added) {
+      return res.status(409).json({ error: 'This story is already in the list.' });
+    }
+    res.status(201).json(await presentReadingList(await ReadingList.findById(list._id), req.user, req.languages));
+  } catch (err) {
+    console.error('Error adding to reading list:', err);
+    res.status(500).json({ error: 'Failed to add to reading list: ' + err.message });
+  }
+});
+
+// Protected route: Reorder a list. `order` must list every story id in it exactly once.
+router.put('/:id/items', requireAuth, loadOwnList, async (req, res) => {
+  try {
+    const list = req.readingList;
+    const { order } = req.body || {};
+
+    const itemsById = new Map(list.items.map((item) => [item.storyId.toString(), item]));
+    const isPermutation =
+      Array.isArray(order) &&
+      order.length === itemsById.size &&
+      new Set(order.map(String)).size === order.length &&
+      order.every((id) => itemsById.has(String(id)));
+    if (!isPermutation) {
+      return res.status(400).json({ error: 'order must list every story id of the list exactly once.' });
+    }
+
+    list.items = order.map((id) => itemsById.get(String(id)).toObject());
+    list.updatedAt = Date.now();
+    await list.save();
+    res.json(await presentReadingList(list, req.user, req.languages));
+  } catch (err) {
+    console.error('Error reordering reading list:', err);
+    res.status(500).json({ error: 'Failed to reorder reading list: ' + err.message });
+  }
+});
+
+// Protected route: Change the private note on a saved story
+router.put('/:id/items/:storyId', requireAuth, loadOwnList, async (req, res) => {
+  try {
+    const { note } = req.body || {};
+    if (note === undefined) {
+      return res.status(400).json({ error: 'note is required.' });
+    }
+    const problem = checkNote(note);
+    if (problem) {
+      return res.status(400).json({ error: problem });
+    }
+
+    const { matchedCount } = await ReadingList.updateOne(
+      { _id: req.readingList._id, 'items.storyId': req.params.storyId },
+      { $set: { 'items.$.note': note, updatedAt: Date.now() } }
+    );
+    if (!matchedCount) {
+      return res.status(404).json({ error: 'Story not found in this reading list' });
+    }
+    res.json(await presentReadingList(await ReadingList.findById(req.readingList._id), req.user, req.languages));
+  } catch (err) {
+    console.error('Error updating note:', err);
+    res.status(500).json({ error: 'Failed to update note: ' + err.message });
+  }
+});
+
+// Protected route: Take a story out of a list. It stays bookmarked if it's in another list.
+router.delete('/:id/items/:storyId', requireAuth, loadOwnList, async (req, res) => {
+  try {
+    const { storyId } = req.params;
+    if (!req.readingList.items.some((item) => item.storyId.toString() === storyId)) {
+      return res.status(404).json({ error: 'Story not found in this reading list' });
+    }
+    await removeFromList(req.readingList, req.user, storyId);
+    res.json(await presentReadingList(await ReadingList.findById(req.readingList._id), req.user, req.languages));
+  } catch (err) {
+    console.error('Error removing from reading list:', err);
+    res.status(500).json({ error: 'Failed to remove from reading list: ' + err.message });
+  }
+});
+
+// Protected route: Share a list by link. Anyone with the link can view it, without your notes.
+router.post('/:id/share', requireAuth, loadOwnList, async (req, res) => {
+  try {
+    res.json(await presentReadingList(await shareList(req.readingList), req.user, req.languages));
+  } catch (err) {
+    console.error('Error sharing reading list:', err);
+    res.status(500).json({ error: 'Failed to share reading list: ' + err.message });
+  }
+});
+
+// Protected route: Stop sharing a list. The old link stops working.
+router.delete('/:id/share', requireAuth, loadOwnList, async (req, res) => {
+  try {
+    res.json(await presentReadingList(await unshareList(req.readingList), req.user, req.languages));
+  } catch (err) {
+    console.error('Error unsharing reading list:', err);
+    res.status(500).json({ error: 'Failed to stop sharing reading list: ' + err.message });
+  }
+});
+
+module.exports = router;
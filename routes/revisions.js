@@ -0,0 +1,107 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const Story = require('../models/Story');
+const StoryRevision = require('../models/StoryRevision');
+const { requireAuth } = require('../middleware/auth');
+const { isAuthor, presentStory } = require('../lib/stories');
+const { recordRevision, diffRevisions } = require('../lib/revisions');
+const { findCategory } = require('../lib/categories');
+const { renderStoryContent } = require('../lib/markdown');
+
+// Load the story from :id and make sure the current user wrote it
+const loadOwnStory = async (req, res, next) => {
+  try {
+    const story = await Story.findById(req.params.id);
+    if (!story || story.deletedAt) {
+      return res.status(404).json({ error: 'Story not found' });
+    }
+    if (!isAuthor(story, req.user)) {
+      return res.status(403).json({ error: 'Unauthorized: Only the author can view revision history.' });
+    }
+    req.story = story;
+    next();
+  } catch (err) {
+    console.error('Error loading story:', err);
+    res.status(500).json({ error: 'Failed to load story: ' + err.message });
+  }
+};
+
+// List revisions, newest first, without their content
+router.get('/', requireAuth, loadOwnStory, async (req, res) => {
+  try {
+    const revisions = await StoryRevision.find({ storyId: req.story._id })
+      .select('-content')
+      .populate('editorId', 'username')
+      .sort({ number: -1 });
+    res.json(revisions);
+  } catch (err) {
+    console.error('Error fetching revisions:', err);
+    res.status(500).json({ error: 'Failed to fetch revisions: ' + err.message });
+  }
+});
+
+// Compare two revisions: ?from=<number>&to=<number> (defaults to the latest)
+router.get('/diff', requireAuth, loadOwnStory, async (req, res) => {
+  try {
+    const from = parseInt(req.query.from, 10);
+    const to = req.query.to === undefined ? req.story.revision : parseInt(req.query.to, 10);
+    if (!Number.isInteger(from) || !Number.isInteger(to)) {
+      return res.status(400).json({ error: 'from and to must be revision numbers.' });
+    }
+
+    const revisions = await StoryRevision.find({ storyId: req.story._id, number: { $in: [from, to] } });
+    const fromRevision = revisions.find((revision) => revision.number === from);
+    const toRevision = revisions.find((revision) => revision.number === to);
+    if (!fromRevision || !toRevision) {
+      return res.status(404).json({ error: 'Revision not found' });
+    }
+
+    res.json(diffRevisions(fromRevision, toRevision));
+  } catch (err) {
+    console.error('Error diffing revisions:', err);
+    res.status(500).json({ error: 'Failed to diff revisions: ' + err.message });
+  }
+});
+
+// Get a single revision with its content
+router.get('/:number', requireAuth, loadOwnStory, async (req, res) => {
+  try {
+    const revision = await StoryRevision.findOne({
+      storyId: req.story._id,
+      number: parseInt(req.params.number, 10),
+    }).populate('editorId', 'username');
+    if (!revision) {
+      return res.status(404).json({ error: 'Revision not found' });
+    }
+    res.json(revision);
+  } catch (err) {
+    console.error('Error fetching revision:', err);
+    res.status(500).json({ error: 'Failed to fetch revision: ' + err.message });
+  }
+});
+
+// Roll the story back to a revision. The rollback is itself recorded as a new revision.
+router.post('/:number/restore', requireAuth, loadOwnStory, async (req, res) => {
+  try {
+    const { story } = req;
+    const revision = await StoryRevision.findOne({ storyId: story._id, number: parseInt(req.params.number, 10) });
+    if (!revision) {
+      return res.status(404).json({ error: 'Revision not found' });
+    }
+
+    story.title = revision.title;
+    Object.assign(story, { content: revision.content, ...renderStoryContent(revision.content) });
+    // Categories renamed or merged since the revision no longer exist; keep the current one then
+    const category = await findCategory(revision.category);
+    story.category = category ? category.slug : story.category;
+    story.updatedAt = Date.now();
+    await recordRevision(story, req.user._id, revision.number);
+
+    res.json(await presentStory(story._id, req.user.clerkId, req.languages));
+  } catch (err) {
+    console.error('Error restoring revision:', err);
+    res.status(500).json({ error: 'Failed to restore revision: ' + err.message });
+  }
+});
+
+module.exports = router;
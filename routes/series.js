@@ -0,0 +1,242 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Story = require('../models/Story');
+const Series = require('../models/Series');
+const { requireAuth, optionalAuth } = require('../middleware/auth');
+const { isAuthor, canView } = require('../lib/stories');
+const { uploadMedia, storeFile, removeFiles } = require('../lib/media');
+
+// Shape a series with its table of contents. Chapters the viewer can't see
+// (drafts, scheduled or hidden stories of other authors) are left out.
+const presentSeries = async (series, viewer) => {
+  const stories = await Story.find({ _id: { $in: series.chapters } }).select(
+    'title imageUrl category status publishedAt hidden authorId deletedAt'
+  );
+  const storiesById = new Map(stories.map((story) => [story._id.toString(), story]));
+  const chapters = series.chapters
+    .map((id) => storiesById.get(id.toString()))
+    .filter((story) => story && canView(story, viewer))
+    .map((story, index) => ({
+      _id: story._id,
+      chapterNumber: index + 1,
+      title: story.title,
+      imageUrl: story.imageUrl,
+      status: story.status,
+      publishedAt: story.publishedAt,
+    }));
+
+  await series.populate('authorId', 'clerkId username imageUrl');
+  const { chapters: chapterIds, ...rest } = series.toObject();
+  return { ...rest, chapterCount: chapters.length, chapters };
+};
+
+// An :id that can't be a series id matches no series
+router.param('id', (req, res, next, id) => {
+  if (!mongoose.isValidObjectId(id)) {
+    return res.status(404).json({ error: 'Series not found' });
+  }
+  next();
+});
+
+// Load the series from :id and make sure the current user wrote it
+const loadOwnSeries = async (req, res, next) => {
+  try {
+    const series = await Series.findById(req.params.id);
+    if (!series) {
+      return res.status(404).json({ error: 'Series not found' });
+    }
+    if (!isAuthor(series, req.user)) {
+      return res.status(403).json({ error: 'Unauthorized: You can only edit your own series.' });
+    }
+    req.series = series;
+    next();
+  } catch (err) {
+    console.error('Error loading series:', err);
+    res.status(500).json({ error: 'Failed to load series: ' + err.message });
+  }
+};
+
+// Public route: List series, optionally by one author (?author=<clerkId>)
+router.get('/', async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.author) {
+      const author = await User.findOne({ clerkId: req.query.author });
+      if (!author) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+      filter.authorId = author._id;
+    }
+    const series = await Series.find(filter)
+      .select('-chapters')
+      .populate('authorId', 'clerkId username imageUrl')
+      .sort({ updatedAt: -1 })
+      .limit(50);
+    res.json(series);
+  } catch (err) {
+    console.error('Error fetching series:', err);
+    res.status(500).json({ error: 'Failed to fetch series: ' + err.message });
+  }
+});
+
+// Protected route: Create a series, with an optional cover image
+router.post('/', requireAuth, uploadMedia({ cover: 'image' }), async (req, res) => {
+  try {
+    const { title, description } = req.body || {};
+    if (!title) {
+      return res.status(400).json({ error: 'Title is required.' });
+    }
+
+    const cover = req.files && req.files.cover ? await storeFile(req.files.cover[0], 'series-covers') : null;
+    const series = new Series({
+      title,
+      description: description || '',
+      authorId: req.user._id,
+      coverImageUrl: cover ? cover.url : null,
+      coverFileId: cover ? cover.fileId : null,
+    });
+    await series.save();
+    res.status(201).json(await presentSeries(series, req.user));
+  } catch (err) {
+    console.error('Error creating series:', err);
+    res.status(500).json({ error: 'Failed to create series: ' + err.message });
+  }
+});
+
+// Public route: Get a series with its cover and table of contents
+router.get('/:id', optionalAuth, async (req, res) => {
+  try {
+    const series = await Series.findById(req.params.id);
+    if (!series) {
+      return res.status(404).json({ error: 'Series not found' });
+    }
+    res.json(await presentSeries(series, req.user));
+  } catch (err) {
+    console.error('Error fetching series:', err);
+    res.status(500).json({ error: 'Failed to fetch series: ' + err.message });
+  }
+});
+
+// Protected route: Update a series' title, description or cover
+router.put('/:id', requireAuth, loadOwnSeries, uploadMedia({ cover: 'image' }), async (req, res) => {
+  try {
+    const { series } = req;
+    const { title, description } = req.body || {};
+
+    series.title = title || series.title;
+    if (description !== undefined) series.description = description;
+    const replacedCover = req.files && req.files.cover ? series.coverFileId : null;
+    if (req.files && req.files.cover) {
+      const { url, fileId } = await storeFile(req.files.cover[0], 'series-covers');
+      series.coverImageUrl = url;
+      series.coverFileId = fileId;
+    }
+    series.updatedAt = Date.now();
+    await series.save();
+    await removeFiles([replacedCover]);
+    res.json(await presentSeries(series, req.user));
+  } catch (err) {
+    console.error('Error updating series:', err);
+    res.status(500).json({ error: 'Failed to update series: ' + err.message });
+  }
+});
+
+// Protected route: Delete a series. Its stories are kept and become standalone.
+router.delete('/:id', requireAuth, loadOwnSeries, async (req, res) => {
+  try {
+    await Story.updateMany({ seriesId: req.series._id }, { $set: { seriesId: null } });
+    await Series.deleteOne({ _id: req.series._id });
+    await removeFiles([req.series.coverFileId]);
+    res.status(204).send();
+  } catch (err) {
+    console.error('Error deleting series:', err);
+    res.status(500).json({ error: 'Failed to delete series: ' + err.message });
+  }
+});
+
+// Protected route: Attach one of your stories as a chapter, at the end or at a 1-based `position`
+router.post('/:id/chapters', requireAuth, loadOwnSeries, async (req, res) => {
+  try {
+    const { series } = req;
+    const { storyId, position } = req.body || {};
+
+    if (!mongoose.Types.ObjectId.isValid(storyId)) {
+      return res.status(400).json({ error: 'storyId must be a valid story id.' });
+    }
+    if (position !== undefined && (!Number.isInteger(position) || position < 1)) {
+      return res.status(400).json({ error: 'position must be a positive integer.' });
+    }
+
+    // Claim the story in one step, so concurrent requests can't put it in two series
+    const { matchedCount } = await Story.updateOne(
+      { _id: storyId, authorId: req.user._id, seriesId: null, deletedAt: null },
+      { $set: { seriesId: series._id } }
+    );
+    if (!matchedCount) {
+      const story = await Story.findById(storyId).select('authorId seriesId deletedAt');
+      if (!story || story.deletedAt || !isAuthor(story, req.user)) {
+        return res.status(404).json({ error: 'Story not found' });
+      }
+      return res.status(409).json({ error: 'This story already belongs to a series. Detach it first.' });
+    }
+
+    const index = position === undefined ? series.chapters.length : Math.min(position - 1, series.chapters.length);
+    await Series.updateOne(
+      { _id: series._id },
+      { $push: { chapters: { $each: [storyId], $position: index } }, $set: { updatedAt: Date.now() } }
+    );
+
+    res.status(201).json(await presentSeries(await Series.findById(series._id), req.user));
+  } catch (err) {
+    console.error('Error attaching chapter:', err);
+    res.status(500).json({ error: 'Failed to attach chapter: ' + err.message });
+  }
+});
+
+// Protected route: Reorder chapters. `order` must list every chapter id exactly once.
+router.put('/:id/chapters', requireAuth, loadOwnSeries, async (req, res) => {
+  try {
+    const { series } = req;
+    const { order } = req.body || {};
+
+    const current = series.chapters.map((id) => id.toString());
+    const isPermutation =
+      Array.isArray(order) &&
+      order.length === current.length &&
+      new Set(order).size === order.length &&
+      order.every((id) => current.includes(String(id)));
+    if (!isPermutation) {
+      return res.status(400).json({ error: 'order must list every chapter id of the series exactly once.' });
+    }
+
+    series.chapters = order;
+    series.updatedAt = Date.now();
+    await series.save();
+    res.json(await presentSeries(series, req.user));
+  } catch (err) {
+    console.error('Error reordering chapters:', err);
+    res.status(500).json({ error: 'Failed to reorder chapters: ' + err.message });
+  }
+});
+
+// Protected route: Detach a chapter. The story itself is kept.
+router.delete('/:id/chapters/:storyId', requireAuth, loadOwnSeries, async (req, res) => {
+  try {
+    const { series } = req;
+    const { storyId } = req.params;
+    if (!series.chapters.some((id) => id.toString() === storyId)) {
+      return res.status(404).json({ error: 'Chapter not found in this series' });
+    }
+
+    await Series.updateOne({ _id: series._id }, { $pull: { chapters: storyId }, $set: { updatedAt: Date.now() } });
+    await Story.updateOne({ _id: storyId }, { $set: { seriesId: null } });
+    res.json(await presentSeries(await Series.findById(series._id), req.user));
+  } catch (err) {
+    console.error('Error detaching chapter:', err);
+    res.status(500).json({ error: 'Failed to detach chapter: ' + err.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,85 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const Story = require('../models/Story');
+const { requireAuth } = require('../middleware/auth');
+const { isAuthor, presentStory } = require('../lib/stories');
+const { LANGUAGES, isSupportedLanguage } = require('../lib/i18n');
+const { renderStoryContent } = require('../lib/markdown');
+
+// Load the story from :id and make sure the current user wrote it, and that :lang is
+// a language it can be translated into
+const loadOwnStory = async (req, res, next) => {
+  try {
+    const story = await Story.findById(req.params.id);
+    if (!story || story.deletedAt) {
+      return res.status(404).json({ error: 'Story not found' });
+    }
+    if (!isAuthor(story, req.user)) {
+      return res.status(403).json({ error: 'Unauthorized: Only the author can manage translations.' });
+    }
+    if (!isSupportedLanguage(req.params.lang)) {
+      return res.status(400).json({ error: `Invalid language. Use one of: ${LANGUAGES.join(', ')}.` });
+    }
+    if (req.params.lang === story.language) {
+      return res.status(400).json({ error: `The story is written in ${story.language}.` });
+    }
+    req.story = story;
+    next();
+  } catch (err) {
+    console.error('Error loading story:', err);
+    res.status(500).json({ error: 'Failed to load story: ' + err.message });
+  }
+};
+
+// Add or replace the story's translation into :lang ({ title, content }). Responds
+// with the story in that language.
+router.put('/:lang', requireAuth, loadOwnStory, async (req, res) => {
+  try {
+    const { story } = req;
+    const { lang } = req.params;
+    const { title, content } = req.body || {};
+    if (typeof title !== 'string' || !title.trim() || typeof content !== 'string' || !content.trim()) {
+      return res.status(400).json({ error: 'Title and content are required.' });
+    }
+
+    const fields = {
+      title,
+      content,
+      ...renderStoryContent(content),
+      translatorId: req.user._id,
+      updatedAt: Date.now(),
+    };
+    const existing = story.translations.find((translation) => translation.language === lang);
+    if (existing) {
+      existing.set(fields);
+    } else {
+      story.translations.push({ language: lang, ...fields });
+    }
+    story.updatedAt = Date.now();
+    await story.save();
+
+    res.status(existing ? 200 : 201).json(await presentStory(story._id, req.user.clerkId, [lang]));
+  } catch (err) {
+    console.error('Error saving translation:', err);
+    res.status(500).json({ error: 'Failed to save translation: ' + err.message });
+  }
+});
+
+// Remove the story's translation into :lang
+router.delete('/:lang', requireAuth, loadOwnStory, async (req, res) => {
+  try {
+    const { modifiedCount } = await Story.updateOne(
+      { _id: req.story._id },
+      { $pull: { translations: { language: req.params.lang } }, $set: { updatedAt: Date.now() } }
+    );
+    if (!modifiedCount) {
+      return res.status(404).json({ error: 'Translation not found' });
+    }
+    res.status(204).send();
+  } catch (err) {
+    console.error('Error deleting translation:', err);
+    res.status(500).json({ error: 'Failed to delete translation: ' + err.message });
+  }
+});
+
+module.exports = router;
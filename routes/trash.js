@@ -0,0 +1,76 @@
+const express = require('express');
+const router = express.Router();
+const Story = require('../models/Story');
+const { requireAuth } = require('../middleware/auth');
+const { parseListOptions } = require('../lib/storyQuery');
+const {
+  TRASH_SORT_MODES,
+  isAuthor,
+  purgeDate,
+  presentStory,
+  listStories,
+  restoreStory,
+  deleteStory,
+} = require('../lib/stories');
+
+router.use(requireAuth);
+
+// Load the story from :id and make sure it is in the current user's trash
+const loadTrashedStory = async (req, res, next) => {
+  try {
+    const story = await Story.findById(req.params.id);
+    if (!story || !story.deletedAt || !isAuthor(story, req.user)) {
+      return res.status(404).json({ error: 'Story not found in trash' });
+    }
+    req.story = story;
+    next();
+  } catch (err) {
+    console.error('Error loading story:', err);
+    res.status(500).json({ error: 'Failed to load story: ' + err.message });
+  }
+};
+
+// Get the current user's deleted stories, most recently deleted first, each with
+// the date it will be purged
+router.get('/', async (req, res) => {
+  try {
+    const options = parseListOptions(req.query, { modes: TRASH_SORT_MODES, defaultSort: 'recent' });
+    if (options.error) {
+      return res.status(400).json({ error: options.error });
+    }
+    const { stories, nextCursor } = await listStories(
+      { authorId: req.user._id, deletedAt: { $ne: null } },
+      options,
+      req.user.clerkId,
+      req.languages
+    );
+    res.json({ stories: stories.map((story) => ({ ...story, purgeAt: purgeDate(story) })), nextCursor });
+  } catch (err) {
+    console.error('Error fetching trash:', err);
+    res.status(500).json({ error: 'Failed to fetch trash: ' + err.message });
+  }
+});
+
+// Restore a story from the trash, as it was when deleted
+router.post('/:id/restore', loadTrashedStory, async (req, res) => {
+  try {
+    await restoreStory(req.story);
+    res.json(await presentStory(req.story._id, req.user.clerkId, req.languages));
+  } catch (err) {
+    console.error('Error restoring story:', err);
+    res.status(500).json({ error: 'Failed to restore story: ' + err.message });
+  }
+});
+
+// Delete a story in the trash permanently, without waiting for it to be purged
+router.delete('/:id', loadTrashedStory, async (req, res) => {
+  try {
+    await deleteStory(req.story);
+    res.status(204).send();
+  } catch (err) {
+    console.error('Error deleting story:', err);
+    res.status(500).json({ error: 'Failed to delete story: ' + err.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,24 @@
+const express = require('express');
+const router = express.Router();
+const { verifyWebhook, handleWebhookEvent } = require('../lib/auth/clerkSync');
+
+// Public route: Clerk user events (user.created, user.updated, user.deleted), signed
+// with CLERK_WEBHOOK_SECRET. The signature covers the exact bytes sent, so this
+// route reads the raw body and must be mounted before express.json().
+router.post('/clerk', express.raw({ type: 'application/json' }), async (req, res) => {
+  try {
+    const rawBody = Buffer.isBuffer(req.body) ? req.body.toString('utf8') : '';
+    const event = verifyWebhook(rawBody, req.headers);
+    if (!event) {
+      return res.status(400).json({ error: 'Invalid webhook signature' });
+    }
+    await handleWebhookEvent(event);
+    res.json({ received: true });
+  } catch (err) {
+    console.error('Error handling Clerk webhook:', err);
+    // A 5xx makes Clerk retry the delivery later
+    res.status(500).json({ error: 'Failed to handle webhook: ' + err.message });
+  }
+});
+
+module.exports = router;
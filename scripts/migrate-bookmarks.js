@@ -0,0 +1,44 @@
+// Moves bookmarks made before reading lists existed into each reader's default
+// list, oldest story first. Stories already in one of the reader's lists are
+// left where they are. Safe to re-run.
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Story = require('../models/Story');
+const ReadingList = require('../models/ReadingList');
+const { getDefaultList } = require('../lib/readingLists');
+
+const migrate = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  const users = new Map(); // Clerk id to user, or null for deleted users
+  let saved = 0;
+  const cursor = Story.find({ 'bookmarks.0': { $exists: true } })
+    .select('bookmarks createdAt')
+    .sort({ createdAt: 1 })
+    .cursor();
+  for await (const story of cursor) {
+    for (const clerkId of story.bookmarks) {
+      if (!users.has(clerkId)) {
+        users.set(clerkId, await User.findOne({ clerkId }).select('_id clerkId'));
+      }
+      const user = users.get(clerkId);
+      if (!user || (await ReadingList.exists({ userId: user._id, 'items.storyId': story._id }))) continue;
+
+      const list = await getDefaultList(user);
+      await ReadingList.updateOne(
+        { _id: list._id, 'items.storyId': { $ne: story._id } },
+        { $push: { items: { storyId: story._id } } }
+      );
+      saved += 1;
+    }
+  }
+
+  console.log(`Saved ${saved} bookmarks to default reading lists`);
+};
+
+migrate()
+  .catch((err) => {
+    console.error('Bookmark migration failed:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,39 @@
+// Turns the free-form categories of existing stories into managed categories: each
+// distinct value becomes (or joins) the category with its slug, so "Mahabharat" and
+// "mahabharat " end up together. Look through GET /api/categories afterwards and
+// merge near-duplicates such as "mahabharat" and "mahabharata". Safe to re-run.
+const mongoose = require('mongoose');
+const Story = require('../models/Story');
+const Category = require('../models/Category');
+const { slugify } = require('../lib/slug');
+
+const FALLBACK_SLUG = 'uncategorized';
+
+const migrate = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  let created = 0;
+  let moved = 0;
+  for (const value of await Story.distinct('category')) {
+    const slug = slugify(value) || FALLBACK_SLUG;
+    const { upsertedCount } = await Category.updateOne(
+      { slug },
+      { $setOnInsert: { name: String(value).trim() || 'Uncategorized' } },
+      { upsert: true }
+    );
+    created += upsertedCount;
+    if (value !== slug) {
+      const { modifiedCount } = await Story.updateMany({ category: value }, { $set: { category: slug } });
+      moved += modifiedCount;
+    }
+  }
+
+  console.log(`Created ${created} categories, moved ${moved} stories to them`);
+};
+
+migrate()
+  .catch((err) => {
+    console.error('Category migration failed:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,52 @@
+// Moves comments embedded in story documents into the comments collection.
+// Safe to re-run: stories are only touched while they still carry a comments array.
+const mongoose = require('mongoose');
+const Story = require('../models/Story');
+const Comment = require('../models/Comment');
+
+const migrate = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  // The comments array is no longer part of the schema, so read the raw documents
+  const cursor = Story.collection.find({ comments: { $exists: true } }, { projection: { comments: 1 } });
+  let stories = 0;
+  let comments = 0;
+
+  for await (const story of cursor) {
+    const embedded = story.comments || [];
+    if (embedded.length) {
+      await Comment.bulkWrite(
+        embedded.map((comment) => ({
+          updateOne: {
+            filter: { _id: comment._id },
+            update: {
+              $setOnInsert: {
+                storyId: story._id,
+                userId: comment.userId,
+                username: comment.username,
+                content: comment.content,
+                createdAt: comment.createdAt || story._id.getTimestamp(),
+                updatedAt: comment.createdAt || story._id.getTimestamp(),
+              },
+            },
+            upsert: true,
+          },
+        }))
+      );
+    }
+
+    const commentCount = await Comment.countDocuments({ storyId: story._id, deleted: false });
+    await Story.collection.updateOne({ _id: story._id }, { $set: { commentCount }, $unset: { comments: '' } });
+    stories += 1;
+    comments += embedded.length;
+  }
+
+  console.log(`Migrated ${comments} comments from ${stories} stories`);
+};
+
+migrate()
+  .catch((err) => {
+    console.error('Comment migration failed:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,25 @@
+// Renders the Markdown content of every story to sanitized HTML and fills in its
+// word count, reading time and excerpt. Safe to re-run, e.g. after changing what
+// lib/markdown.js allows.
+const mongoose = require('mongoose');
+const Story = require('../models/Story');
+const { renderStoryContent } = require('../lib/markdown');
+
+const migrate = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  let rendered = 0;
+  for await (const story of Story.find().select('content').cursor()) {
+    await Story.updateOne({ _id: story._id }, { $set: renderStoryContent(story.content) });
+    rendered += 1;
+  }
+
+  console.log(`Rendered the content of ${rendered} stories`);
+};
+
+migrate()
+  .catch((err) => {
+    console.error('Content migration failed:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,26 @@
+// Fills in the like and bookmark counters of stories created before they were
+// stored, from the lists of Clerk ids. Safe to re-run.
+const mongoose = require('mongoose');
+const Story = require('../models/Story');
+
+const migrate = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  const { modifiedCount } = await Story.updateMany({}, [
+    {
+      $set: {
+        likeCount: { $size: { $ifNull: ['$likes', []] } },
+        bookmarkCount: { $size: { $ifNull: ['$bookmarks', []] } },
+      },
+    },
+  ]);
+
+  console.log(`Updated the counters of ${modifiedCount} stories`);
+};
+
+migrate()
+  .catch((err) => {
+    console.error('Counter migration failed:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
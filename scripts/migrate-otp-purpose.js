@@ -0,0 +1,21 @@
+// Replaces the one-code-per-email index of pending one-time passwords with one per
+// email and purpose. Codes still pending have no purpose and are dropped; they expire
+// within minutes anyway.
+const mongoose = require('mongoose');
+const Otp = require('../models/Otp');
+
+const migrate = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  const { deletedCount } = await Otp.deleteMany({ purpose: { $exists: false } });
+  const dropped = await Otp.syncIndexes();
+
+  console.log(`Dropped ${deletedCount} pending codes and the indexes: ${dropped.join(', ') || 'none'}`);
+};
+
+migrate()
+  .catch((err) => {
+    console.error('OTP migration failed:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
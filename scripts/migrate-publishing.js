@@ -0,0 +1,42 @@
+// Marks stories created before drafts existed as published at their creation time,
+// and records their current text as revision 1. Safe to re-run.
+const mongoose = require('mongoose');
+const Story = require('../models/Story');
+const StoryRevision = require('../models/StoryRevision');
+
+const migrate = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  const published = await Story.updateMany({ status: { $exists: false } }, [
+    { $set: { status: 'published', publishedAt: '$createdAt' } },
+  ]);
+
+  let revisions = 0;
+  const cursor = Story.find({ $or: [{ revision: { $exists: false } }, { revision: 0 }] }).cursor();
+  for await (const story of cursor) {
+    await StoryRevision.updateOne(
+      { storyId: story._id, number: 1 },
+      {
+        $setOnInsert: {
+          title: story.title,
+          content: story.content,
+          category: story.category,
+          editorId: story.authorId,
+          createdAt: story.updatedAt || story.createdAt,
+        },
+      },
+      { upsert: true }
+    );
+    await Story.updateOne({ _id: story._id }, { $set: { revision: 1 } });
+    revisions += 1;
+  }
+
+  console.log(`Published ${published.modifiedCount} stories, recorded ${revisions} initial revisions`);
+};
+
+migrate()
+  .catch((err) => {
+    console.error('Publishing migration failed:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,19 @@
+// Rebuilds the story search index so it covers translations too. The index keeps
+// its name, so the old one has to be dropped before the new one can be built.
+const mongoose = require('mongoose');
+const Story = require('../models/Story');
+
+const migrate = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  const dropped = await Story.syncIndexes();
+
+  console.log(`Rebuilt the story indexes, dropping: ${dropped.join(', ') || 'none'}`);
+};
+
+migrate()
+  .catch((err) => {
+    console.error('Story search migration failed:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,46 @@
+// Brings the User collection in line with Clerk, for users whose webhooks were
+// missed (e.g. while the endpoint was down or before it was set up):
+//   npm run clerk:reconcile            create and update users from Clerk
+//   npm run clerk:reconcile -- --prune also delete local Clerk users that no longer exist in Clerk
+const mongoose = require('mongoose');
+const { Clerk } = require('@clerk/clerk-sdk-node');
+const User = require('../models/User');
+const { profileFromApi, upsertClerkUser, removeClerkUser } = require('../lib/auth/clerkSync');
+
+const PAGE_SIZE = 100;
+
+const reconcile = async (args) => {
+  const prune = args.includes('--prune');
+  const clerk = new Clerk({ secretKey: process.env.CLERK_SECRET_KEY });
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  const seen = new Set();
+  let synced = 0;
+  for (let offset = 0; ; offset += PAGE_SIZE) {
+    const page = await clerk.users.getUserList({ limit: PAGE_SIZE, offset, orderBy: 'created_at' });
+    for (const clerkUser of page) {
+      seen.add(clerkUser.id);
+      await upsertClerkUser(profileFromApi(clerkUser));
+      synced += 1;
+    }
+    if (page.length < PAGE_SIZE) break;
+  }
+  console.log(`Synced ${synced} user(s) from Clerk`);
+
+  if (prune) {
+    let pruned = 0;
+    const clerkIds = await User.find({ authProvider: { $ne: 'local' } }).distinct('clerkId');
+    for (const clerkId of clerkIds.filter((id) => !seen.has(id))) {
+      await removeClerkUser(clerkId);
+      pruned += 1;
+    }
+    console.log(`Deleted ${pruned} user(s) no longer in Clerk`);
+  }
+};
+
+reconcile(process.argv.slice(2))
+  .catch((err) => {
+    console.error('Failed to reconcile users:', err.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,18 @@
+// Queues the weekly digest email for every user who wants one. Run it once a week
+// from cron; the API server's mail worker sends the queued messages:
+//   npm run mail:digest
+const mongoose = require('mongoose');
+const { enqueueWeeklyDigests } = require('../lib/mail/digest');
+
+const sendDigests = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+  const queued = await enqueueWeeklyDigests();
+  console.log(`Queued ${queued} weekly digest(s)`);
+};
+
+sendDigests()
+  .catch((err) => {
+    console.error('Failed to queue weekly digests:', err.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
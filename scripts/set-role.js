@@ -0,0 +1,25 @@
+// Sets a user's role from the command line, e.g. to appoint the first admin:
+//   npm run set-role -- <clerkId> admin
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const { ROLES } = require('../lib/roles');
+
+const setRole = async ([clerkId, role]) => {
+  if (!clerkId || !ROLES.includes(role)) {
+    throw new Error(`Usage: npm run set-role -- <clerkId> <${ROLES.join('|')}>`);
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI);
+  const user = await User.findOneAndUpdate({ clerkId }, { $set: { role, updatedAt: Date.now() } }, { new: true });
+  if (!user) {
+    throw new Error(`No user with Clerk ID ${clerkId}`);
+  }
+  console.log(`${user.username} is now ${user.role}`);
+};
+
+setRole(process.argv.slice(2))
+  .catch((err) => {
+    console.error('Failed to set role:', err.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
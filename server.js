@@ -1,30 +1,78 @@
 const express = require('express');
 const mongoose = require('mongoose');
 const cors = require('cors');
-const ImageKit = require('imagekit');
-const multer = require('multer');
-const { Clerk, ClerkExpressRequireAuth } = require('@clerk/clerk-sdk-node');
-
+const User = require('./models/User');
+const Story = require('./models/Story');
+const Comment = require('./models/Comment');
+const Report = require('./models/Report');
+const { requireAuth, optionalAuth } = require('./middleware/auth');
+const { negotiateLanguage } = require('./middleware/language');
+const { rateLimit } = require('./middleware/rateLimit');
+const { authProvider } = require('./lib/auth');
+const { parseListOptions, parseSearchOptions } = require('./lib/storyQuery');
+const {
+  DRAFT_SORT_MODES,
+  publicStoryFilter,
+  canView,
+  parsePublishing,
+  presentStory,
+  presentStories,
+  listStories,
+  announceStory,
+  startPublishAnnouncer,
+  trashStory,
+  startTrashPurger,
+} = require('./lib/stories');
+const { STORIES_CHANNEL, storyChannel, publish, streamEvents } = require('./lib/events');
+const { recordRevision } = require('./lib/revisions');
+const { isModerator } = require('./lib/roles');
+const { parseReport, moderate } = require('./lib/moderation');
+const { isFollowing } = require('./lib/follows');
+const { notify } = require('./lib/notifications');
+const { scheduleAccountDeletion, cancelAccountDeletion, startAccountDeletionWorker } = require('./lib/users');
+const { REACTIONS, setReaction } = require('./lib/reactions');
+const { setBookmark } = require('./lib/readingLists');
+const { findCategory, normalizeTags } = require('./lib/categories');
+const { LANGUAGES, isSupportedLanguage } = require('./lib/i18n');
+const { renderStoryContent } = require('./lib/markdown');
+const { recordStat } = require('./lib/analytics');
+const { parseTrendingOptions, parseRelatedLimit, trendingStoryIds, relatedStoryIds } = require('./lib/discovery');
+const { emailNewComment, emailAccountDeletionScheduled, startMailWorker } = require('./lib/mail');
+const { highlightStory } = require('./lib/search');
+const { COMMENT_SORT_MODES, formatComment, setCommentLike, listThreads, removeComment } = require('./lib/comments');
+const { storage } = require('./lib/storage');
+const { uploadMedia, storeFile, removeFiles, setStoryMedia, presentUser, presentOwnUser } = require('./lib/media');
+const progressRoutes = require('./routes/progress');
+const revisionRoutes = require('./routes/revisions');
+const translationRoutes = require('./routes/translations');
+const trashRoutes = require('./routes/trash');
+const moderationRoutes = require('./routes/moderation');
+const followRoutes = require('./routes/follows');
+const notificationRoutes = require('./routes/notifications');
+const seriesRoutes = require('./routes/series');
+const emailRoutes = require('./routes/email');
+const readingListRoutes = require('./routes/readingLists');
+const analyticsRoutes = require('./routes/analytics');
+const categoryRoutes = require('./routes/categories');
+const authRoutes = require('./routes/auth');
+const webhookRoutes = require('./routes/webhooks');
 
 const app = express();
+// Behind a proxy, set TRUST_PROXY (e.g. to 1) so req.ip is the client's address
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', Number(process.env.TRUST_PROXY) || process.env.TRUST_PROXY);
+}
 app.use(cors());
+app.use('/api/webhooks', webhookRoutes); // Reads raw bodies to check signatures, so before the JSON parser
 app.use(express.json({ limit: '10mb' })); // Increased limit for media uploads
+app.use(negotiateLanguage); // Sets req.languages from ?lang or Accept-Language
 
-const PORT = process.env.PORT || 3000;
-
-const imagekit = new ImageKit({
-  publicKey: process.env.IMAGEKIT_PUBLIC_KEY,
-  privateKey: process.env.IMAGEKIT_PRIVATE_KEY,
-  urlEndpoint: process.env.IMAGEKIT_URL_ENDPOINT,
-});
-
-// Initialize Clerk
-if (!global.Clerk) {
-  global.Clerk = new Clerk({ secretKey: process.env.CLERK_SECRET_KEY });
+// Media stored on the local disk is served by the app itself
+if (storage.name === 'local') {
+  app.use(storage.publicPath, express.static(storage.root));
 }
 
-// Configure Multer for file uploads
-const upload = multer({ storage: multer.memoryStorage() });
+const PORT = process.env.PORT || 3000;
 
 // MongoDB connection
 mongoose
@@ -35,207 +83,202 @@ mongoose
   .then(() => console.log('Connected to MongoDB Atlas'))
   .catch((err) => console.error('MongoDB connection error:', err));
 
-// Schemas
-const userSchema = new mongoose.Schema({
-  clerkId: { type: String, required: true, unique: true },
-  username: { type: String, unique: true, sparse: true },
-  email: { type: String, unique: true, sparse: true },
-  imageUrl: { type: String },
-  bio: { type: String, default: '' },
-  createdAt: { type: Date, default: Date.now },
-  updatedAt: { type: Date, default: Date.now },
-});
+app.use('/api/auth', authRoutes);
+app.use('/api/progress', progressRoutes);
+app.use('/api/stories/:id/revisions', revisionRoutes);
+app.use('/api/stories/:id/translations', translationRoutes);
+app.use('/api/stories/trash', trashRoutes);
+app.use('/api/moderation', moderationRoutes);
+app.use('/api', followRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/series', seriesRoutes);
+app.use('/api/email', emailRoutes);
+app.use('/api/reading-lists', readingListRoutes);
+app.use('/api', analyticsRoutes);
+app.use('/api', categoryRoutes);
 
-const storySchema = new mongoose.Schema({
-  title: { type: String, required: true },
-  content: { type: String, required: true },
-  category: { type: String, required: true },
-  authorId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
-  author: { type: String, required: true },
-  authorImage: { type: String },
-  imageUrl: { type: String },
-  audioUrl: { type: String },
-  videoUrl: { type: String },
-  likes: [{ type: String }], // Store Clerk user IDs
-  bookmarks: [{ type: String }], // Store Clerk user IDs
-  comments: [
-    {
-      userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
-      username: { type: String, required: true },
-      content: { type: String, required: true },
-      createdAt: { type: Date, default: Date.now },
-    },
-  ],
-  createdAt: { type: Date, default: Date.now },
-  updatedAt: { type: Date, default: Date.now },
+// Public route: Get all stories
+app.get('/api/stories', optionalAuth, async (req, res) => {
+  try {
+    const options = parseListOptions(req.query);
+    if (options.error) {
+      return res.status(400).json({ error: options.error });
+    }
+    res.json(await listStories(publicStoryFilter(), options, req.user ? req.user.clerkId : null, req.languages));
+  } catch (err) {
+    console.error('Error fetching stories:', err);
+    res.status(500).json({ error: 'Failed to fetch stories' });
+  }
 });
 
-const User = mongoose.model('User', userSchema);
-const Story = mongoose.model('Story', storySchema);
-
-// Middleware to sync Clerk user data with MongoDB
-const syncUser = async (req, res, next) => {
-  if (!req.auth || !req.auth.userId) {
-    return res.status(401).json({ error: 'Unauthorized: No user ID provided by Clerk.' });
-  }
+// Public route: Newly published stories as Server-Sent Events
+app.get('/api/stories/events', (req, res) => {
+  streamEvents(req, res, STORIES_CHANNEL);
+});
 
+// Public route: Search stories by title, content and category
+app.get('/api/stories/search', optionalAuth, async (req, res) => {
   try {
-    const clerkUser = await global.Clerk.users.getUser(req.auth.userId);
-    if (!clerkUser) {
-      return res.status(404).json({ error: 'User not found in Clerk.' });
+    const options = parseSearchOptions(req.query);
+    if (options.error) {
+      return res.status(400).json({ error: options.error });
     }
-
-    let user = await User.findOne({ clerkId: clerkUser.id });
-
-    if (!user) {
-      user = new User({
-        clerkId: clerkUser.id,
-        username: clerkUser.username || clerkUser.firstName + ' ' + clerkUser.lastName || `user_${clerkUser.id}`,
-        email: clerkUser.emailAddresses[0]?.emailAddress,
-        imageUrl: clerkUser.imageUrl,
-      });
-      await user.save();
-      console.log('New user created in MongoDB:', user.username);
-    } else {
-      user.username = clerkUser.username || clerkUser.firstName + ' ' + clerkUser.lastName || user.username;
-      user.email = clerkUser.emailAddresses[0]?.emailAddress || user.email;
-      user.imageUrl = clerkUser.imageUrl || user.imageUrl;
-      user.updatedAt = Date.now();
-      await user.save();
-    }
-    req.user = user; // Attach MongoDB user document to request
-    next();
-  } catch (error) {
-    console.error('Error syncing user:', error);
-    res.status(500).json({ error: 'Internal server error during user sync: ' + error.message });
+    const { stories, nextCursor } = await listStories(
+      publicStoryFilter(),
+      options,
+      req.user ? req.user.clerkId : null,
+      req.languages
+    );
+    res.json({
+      // Search results keep their content only to be highlighted
+      stories: stories.map(({ content, ...story }) => ({
+        ...story,
+        highlights: highlightStory({ title: story.title, content }, options.q),
+      })),
+      nextCursor,
+    });
+  } catch (err) {
+    console.error('Error searching stories:', err);
+    res.status(500).json({ error: 'Failed to search stories: ' + err.message });
   }
-};
+});
 
-// Helper for ImageKit upload
-const uploadToImageKit = async (file, folder = 'hindu-stories') => {
-  return new Promise((resolve, reject) => {
-    imagekit.upload(
-      {
-        file: file.buffer,
-        fileName: `${Date.now()}_${file.originalname}`,
-        folder: folder,
-      },
-      (error, result) => {
-        if (error) {
-          return reject(error);
-        }
-        resolve(result.url);
-      }
+// Public route: Stories with the most recent likes, comments, bookmarks and views
+// (?window=24h|7d|30d, ?limit, ?category). Recent activity counts the most.
+app.get('/api/stories/trending', optionalAuth, async (req, res) => {
+  try {
+    const options = parseTrendingOptions(req.query);
+    if (options.error) {
+      return res.status(400).json({ error: options.error });
+    }
+    const ranked = await trendingStoryIds(options);
+    const stories = await presentStories(
+      ranked.map(({ storyId }) => storyId),
+      req.user ? req.user.clerkId : null,
+      req.languages
     );
-  });
-};
+    const scores = new Map(ranked.map(({ storyId, score }) => [storyId.toString(), score]));
+    res.json({
+      window: options.window,
+      stories: stories.map((story) => ({
+        ...story,
+        trendingScore: Math.round(scores.get(story._id.toString()) * 100) / 100,
+      })),
+    });
+  } catch (err) {
+    console.error('Error fetching trending stories:', err);
+    res.status(500).json({ error: 'Failed to fetch trending stories: ' + err.message });
+  }
+});
 
-// Public route: Get all stories
-app.get('/api/stories', async (req, res) => {
+// Public route: Stories similar to this one, by category, tags and content (?limit)
+app.get('/api/stories/:id/related', optionalAuth, async (req, res) => {
   try {
-    const stories = await Story.find()
-      .populate('authorId', 'username imageUrl')
-      .populate('comments.userId', 'username')
-      .sort({ createdAt: -1 });
-
-    const formattedStories = stories.map((story) => ({
-      ...story.toObject(),
-      author: story.authorId ? story.authorId.username : 'Unknown',
-      authorImage: story.authorId ? story.authorId.imageUrl : '',
-      comments: story.comments.map((comment) => ({
-        ...comment.toObject(),
-        username: comment.userId ? comment.userId.username : 'Unknown',
-      })),
-    }));
-    res.json(formattedStories);
+    const limit = parseRelatedLimit(req.query.limit);
+    if (!limit) {
+      return res.status(400).json({ error: 'limit must be a positive integer.' });
+    }
+    const story = await Story.findById(req.params.id).select(
+      'title content category tags seriesId status publishedAt hidden authorId deletedAt'
+    );
+    if (!story || !canView(story, req.user)) {
+      return res.status(404).json({ error: 'Story not found' });
+    }
+    const ids = await relatedStoryIds(story, limit);
+    res.json({ stories: await presentStories(ids, req.user ? req.user.clerkId : null, req.languages) });
   } catch (err) {
-    console.error('Error fetching stories:', err);
-    res.status(500).json({ error: 'Failed to fetch stories' });
+    console.error('Error fetching related stories:', err);
+    res.status(500).json({ error: 'Failed to fetch related stories: ' + err.message });
   }
 });
 
 // Protected route: Get user-specific stories
-app.get('/api/stories/user/:clerkId', ClerkExpressRequireAuth(), syncUser, async (req, res) => {
+app.get('/api/stories/user/:clerkId', requireAuth, async (req, res) => {
   try {
     const { clerkId } = req.params;
+    const options = parseListOptions(req.query);
+    if (options.error) {
+      return res.status(400).json({ error: options.error });
+    }
     const user = await User.findOne({ clerkId });
     if (!user) {
       return res.status(404).json({ error: 'User not found' });
     }
-    const stories = await Story.find({ authorId: user._id })
-      .populate('authorId', 'username imageUrl')
-      .populate('comments.userId', 'username')
-      .sort({ createdAt: -1 });
-
-    const formattedStories = stories.map((story) => ({
-      ...story.toObject(),
-      author: story.authorId ? story.authorId.username : 'Unknown',
-      authorImage: story.authorId ? story.authorId.imageUrl : '',
-      comments: story.comments.map((comment) => ({
-        ...comment.toObject(),
-        username: comment.userId ? comment.userId.username : 'Unknown',
-      })),
-    }));
-    res.json(formattedStories);
+    // Authors also see their own scheduled stories; drafts have their own endpoint
+    const visibility = user._id.equals(req.user._id) ? { status: 'published', deletedAt: null } : publicStoryFilter();
+    res.json(await listStories({ authorId: user._id, ...visibility }, options, req.user.clerkId, req.languages));
   } catch (err) {
     console.error('Error fetching user stories:', err);
     res.status(500).json({ error: 'Failed to fetch user stories: ' + err.message });
   }
 });
 
+// Protected route: Get the current user's drafts, most recently edited first
+app.get('/api/stories/drafts', requireAuth, async (req, res) => {
+  try {
+    const options = parseListOptions(req.query, { modes: DRAFT_SORT_MODES, defaultSort: 'recent' });
+    if (options.error) {
+      return res.status(400).json({ error: options.error });
+    }
+    const filter = { authorId: req.user._id, status: 'draft', deletedAt: null };
+    res.json(await listStories(filter, options, req.user.clerkId, req.languages));
+  } catch (err) {
+    console.error('Error fetching drafts:', err);
+    res.status(500).json({ error: 'Failed to fetch drafts: ' + err.message });
+  }
+});
+
 // Protected route: Create a new story
 app.post(
   '/api/stories',
-  ClerkExpressRequireAuth(),
-  syncUser,
-  upload.fields([{ name: 'image' }, { name: 'audio' }, { name: 'video' }]),
+  requireAuth,
+  rateLimit('storyCreate'), // Before the upload, so rejected requests don't store media
+  uploadMedia({ image: 'image', audio: 'audio', video: 'video' }),
   async (req, res) => {
     try {
-      const { title, content, category } = req.body;
+      const { title, content, category, tags, language } = req.body;
       if (!title || !content || !category) {
         return res.status(400).json({ error: 'Title, content, and category are required.' });
       }
-
-      let imageUrl = null;
-      let audioUrl = null;
-      let videoUrl = null;
-
-      if (req.files && req.files.image) {
-        imageUrl = await uploadToImageKit(req.files.image[0], 'story-images');
+      if (language !== undefined && !isSupportedLanguage(language)) {
+        return res.status(400).json({ error: `Invalid language. Use one of: ${LANGUAGES.join(', ')}.` });
+      }
+      const publishing = parsePublishing(req.body);
+      if (publishing.error) {
+        return res.status(400).json({ error: publishing.error });
       }
-      if (req.files && req.files.audio) {
-        audioUrl = await uploadToImageKit(req.files.audio[0], 'story-audio');
+      const categoryDoc = await findCategory(category);
+      if (!categoryDoc) {
+        return res.status(400).json({ error: 'Unknown category. See GET /api/categories for the list.' });
       }
-      if (req.files && req.files.video) {
-        videoUrl = await uploadToImageKit(req.files.video[0], 'story-videos');
+      const tagList = tags === undefined ? { tags: [] } : normalizeTags(tags);
+      if (tagList.error) {
+        return res.status(400).json({ error: tagList.error });
       }
 
       const newStory = new Story({
         title,
         content,
-        category,
+        ...renderStoryContent(content),
+        category: categoryDoc.slug,
+        tags: tagList.tags,
+        ...(language ? { language } : {}),
         authorId: req.user._id,
         author: req.user.username,
         authorImage: req.user.imageUrl,
-        imageUrl,
-        audioUrl,
-        videoUrl,
+        status: publishing.status,
+        publishedAt: publishing.publishedAt,
       });
-      await newStory.save();
-
-      const populatedStory = await Story.findById(newStory._id)
-        .populate('authorId', 'username imageUrl')
-        .populate('comments.userId', 'username');
-
-      const formattedStory = {
-        ...populatedStory.toObject(),
-        author: populatedStory.authorId ? populatedStory.authorId.username : 'Unknown',
-        authorImage: populatedStory.authorId ? populatedStory.authorId.imageUrl : '',
-        comments: populatedStory.comments.map((comment) => ({
-          ...comment.toObject(),
-          username: comment.userId ? comment.userId.username : 'Unknown',
-        })),
-      };
+      const media = await setStoryMedia(newStory, req.files);
+      try {
+        await recordRevision(newStory, req.user._id);
+      } catch (err) {
+        await removeFiles(media.uploaded);
+        throw err;
+      }
+      await announceStory(newStory._id);
+
+      const formattedStory = await presentStory(newStory._id, req.user.clerkId, req.languages);
 
       res.status(201).json(formattedStory);
     } catch (err) {
@@ -248,52 +291,73 @@ app.post(
 // Protected route: Update a story by ID
 app.put(
   '/api/stories/:id',
-  ClerkExpressRequireAuth(),
-  syncUser,
-  upload.fields([{ name: 'image' }, { name: 'audio' }, { name: 'video' }]),
+  requireAuth,
+  uploadMedia({ image: 'image', audio: 'audio', video: 'video' }),
   async (req, res) => {
     try {
       const { id } = req.params;
-      const { title, content, category } = req.body;
+      const { title, content, category, tags, language } = req.body;
 
       const story = await Story.findById(id);
-      if (!story) {
+      // Stories in the trash have to be restored before they can be edited
+      if (!story || story.deletedAt) {
         return res.status(404).json({ error: 'Story not found' });
       }
       if (story.authorId.toString() !== req.user._id.toString()) {
         return res.status(403).json({ error: 'Unauthorized: You can only edit your own stories.' });
       }
-
-      story.title = title || story.title;
-      story.content = content || story.content;
-      story.category = category || story.category;
-
-      if (req.files && req.files.image) {
-        story.imageUrl = await uploadToImageKit(req.files.image[0], 'story-images');
+      const publishing = parsePublishing(req.body, story);
+      if (publishing.error) {
+        return res.status(400).json({ error: publishing.error });
+      }
+      const categoryDoc = category ? await findCategory(category) : null;
+      if (category && !categoryDoc) {
+        return res.status(400).json({ error: 'Unknown category. See GET /api/categories for the list.' });
       }
-      if (req.files && req.files.audio) {
-        story.audioUrl = await uploadToImageKit(req.files.audio[0], 'story-audio');
+      const tagList = tags === undefined ? null : normalizeTags(tags);
+      if (tagList && tagList.error) {
+        return res.status(400).json({ error: tagList.error });
       }
-      if (req.files && req.files.video) {
-        story.videoUrl = await uploadToImageKit(req.files.video[0], 'story-videos');
+      if (language !== undefined && !isSupportedLanguage(language)) {
+        return res.status(400).json({ error: `Invalid language. Use one of: ${LANGUAGES.join(', ')}.` });
+      }
+      if (language && story.translations.some((translation) => translation.language === language)) {
+        return res.status(409).json({ error: `The story has a ${language} translation. Delete it first.` });
+      }
+
+      const textChanged =
+        (title && title !== story.title) ||
+        (content && content !== story.content) ||
+        (categoryDoc && categoryDoc.slug !== story.category);
+
+      story.title = title || story.title;
+      if (content && content !== story.content) {
+        Object.assign(story, { content, ...renderStoryContent(content) });
       }
+      story.category = categoryDoc ? categoryDoc.slug : story.category;
+      if (tagList) story.tags = tagList.tags;
+      if (language) story.language = language;
+      story.status = publishing.status;
+      story.publishedAt = publishing.publishedAt;
+
+      const media = await setStoryMedia(story, req.files);
 
       story.updatedAt = Date.now();
-      await story.save();
-
-      const populatedStory = await Story.findById(story._id)
-        .populate('authorId', 'username imageUrl')
-        .populate('comments.userId', 'username');
-
-      const formattedStory = {
-        ...populatedStory.toObject(),
-        author: populatedStory.authorId ? populatedStory.authorId.username : 'Unknown',
-        authorImage: populatedStory.authorId ? populatedStory.authorId.imageUrl : '',
-        comments: populatedStory.comments.map((comment) => ({
-          ...comment.toObject(),
-          username: comment.userId ? comment.userId.username : 'Unknown',
-        })),
-      };
+      try {
+        if (textChanged) {
+          await recordRevision(story, req.user._id);
+        } else {
+          await story.save();
+        }
+      } catch (err) {
+        await removeFiles(media.uploaded);
+        throw err;
+      }
+      await removeFiles(media.replaced);
+      // A draft published now goes out on the live stream straight away
+      await announceStory(story._id);
+
+      const formattedStory = await presentStory(story._id, req.user.clerkId, req.languages);
       res.json(formattedStory);
     } catch (err) {
       console.error('Error updating story:', err);
@@ -302,20 +366,25 @@ app.put(
   }
 );
 
-// Protected route: Delete a story by ID
-app.delete('/api/stories/:id', ClerkExpressRequireAuth(), syncUser, async (req, res) => {
+// Protected route: Delete a story by ID. Authors' stories go to their trash, to be
+// restored or purged later; see routes/trash.js.
+app.delete('/api/stories/:id', requireAuth, async (req, res) => {
   try {
     const { id } = req.params;
     const story = await Story.findById(id);
 
-    if (!story) {
+    if (!story || story.deletedAt) {
       return res.status(404).json({ error: 'Story not found' });
     }
+    // Moderators may delete any story outright; that is recorded in the moderation log
     if (story.authorId.toString() !== req.user._id.toString()) {
-      return res.status(403).json({ error: 'Unauthorized: You can only delete your own stories.' });
+      if (!isModerator(req.user)) {
+        return res.status(403).json({ error: 'Unauthorized: You can only delete your own stories.' });
+      }
+      await moderate(req.user, 'delete', 'story', story);
+    } else {
+      await trashStory(story);
     }
-
-    await Story.findByIdAndDelete(id);
     res.status(204).send();
   } catch (err) {
     console.error('Error deleting story:', err);
@@ -323,89 +392,88 @@ app.delete('/api/stories/:id', ClerkExpressRequireAuth(), syncUser, async (req,
   }
 });
 
-// Protected route: Like/Unlike a story
-app.post('/api/stories/:id/like', ClerkExpressRequireAuth(), syncUser, async (req, res) => {
+// Respond to one of the like/bookmark verbs with just the new state and count,
+// e.g. { liked: true, likeCount: 12 }
+const reactionHandler = (reaction, active) => async (req, res) => {
   try {
-    const { id } = req.params;
-    const clerkUserId = req.auth.userId;
-
-    const story = await Story.findById(id);
-    if (!story) {
+    const story = await Story.findById(req.params.id).select('status publishedAt hidden authorId deletedAt');
+    if (!story || !canView(story, req.user)) {
       return res.status(404).json({ error: 'Story not found' });
     }
 
-    const likedIndex = story.likes.indexOf(clerkUserId);
-    if (likedIndex > -1) {
-      story.likes.splice(likedIndex, 1);
-    } else {
-      story.likes.push(clerkUserId);
+    const { stateKey, countField } = REACTIONS[reaction];
+    // Bookmarks also live in the user's reading lists
+    const { changed, count } =
+      reaction === 'bookmark'
+        ? await setBookmark(req.user, story._id, active)
+        : await setReaction(story._id, reaction, req.user.clerkId, active);
+    if (changed) {
+      if (reaction === 'like' && active) {
+        await notify({ type: 'like', recipientId: story.authorId, actor: req.user, story });
+      }
+      publish(storyChannel(story._id), reaction, { storyId: story._id, [countField]: count });
     }
-    await story.save();
+    res.json({ [stateKey]: active, [countField]: count });
+  } catch (err) {
+    console.error(`Error updating ${reaction}:`, err);
+    res.status(500).json({ error: `Failed to update ${reaction} status: ` + err.message });
+  }
+};
 
-    const populatedStory = await Story.findById(story._id)
-      .populate('authorId', 'username imageUrl')
-      .populate('comments.userId', 'username');
+// Protected route: Like a story. Liking it again changes nothing.
+app.put('/api/stories/:id/like', requireAuth, rateLimit('reaction'), reactionHandler('like', true));
 
-    const formattedStory = {
-      ...populatedStory.toObject(),
-      author: populatedStory.authorId ? populatedStory.authorId.username : 'Unknown',
-      authorImage: populatedStory.authorId ? populatedStory.authorId.imageUrl : '',
-      comments: populatedStory.comments.map((comment) => ({
-        ...comment.toObject(),
-        username: comment.userId ? comment.userId.username : 'Unknown',
-      })),
-    };
-    res.json(formattedStory);
+// Protected route: Unlike a story
+app.delete('/api/stories/:id/like', requireAuth, rateLimit('reaction'), reactionHandler('like', false));
+
+// Protected route: Bookmark a story, saving it to the default reading list unless it's
+// already in one. Bookmarking it again changes nothing.
+app.put('/api/stories/:id/bookmark', requireAuth, rateLimit('reaction'), reactionHandler('bookmark', true));
+
+// Protected route: Remove a story from bookmarks and from all of the user's reading lists
+app.delete('/api/stories/:id/bookmark', requireAuth, rateLimit('reaction'), reactionHandler('bookmark', false));
+
+// Public route: Live updates for a story (likes, bookmarks, comments) as Server-Sent Events
+app.get('/api/stories/:id/events', optionalAuth, async (req, res) => {
+  try {
+    const story = await Story.findById(req.params.id);
+    if (!story || !canView(story, req.user)) {
+      return res.status(404).json({ error: 'Story not found' });
+    }
+    streamEvents(req, res, storyChannel(story._id));
   } catch (err) {
-    console.error('Error liking/unliking story:', err);
-    res.status(500).json({ error: 'Failed to update like status: ' + err.message });
+    console.error('Error opening story event stream:', err);
+    res.status(500).json({ error: 'Failed to open event stream: ' + err.message });
   }
 });
 
-// Protected route: Bookmark/Unbookmark a story
-app.post('/api/stories/:id/bookmark', ClerkExpressRequireAuth(), syncUser, async (req, res) => {
+// Public route: Get paginated comment threads for a story
+app.get('/api/stories/:id/comments', optionalAuth, async (req, res) => {
   try {
     const { id } = req.params;
-    const clerkUserId = req.auth.userId;
+    const options = parseListOptions(req.query, { modes: COMMENT_SORT_MODES, defaultSort: 'oldest' });
+    if (options.error) {
+      return res.status(400).json({ error: options.error });
+    }
 
+    const viewerId = req.user ? req.user.clerkId : null;
     const story = await Story.findById(id);
-    if (!story) {
+    if (!story || !canView(story, req.user)) {
       return res.status(404).json({ error: 'Story not found' });
     }
 
-    const bookmarkedIndex = story.bookmarks.indexOf(clerkUserId);
-    if (bookmarkedIndex > -1) {
-      story.bookmarks.splice(bookmarkedIndex, 1);
-    } else {
-      story.bookmarks.push(clerkUserId);
-    }
-    await story.save();
-
-    const populatedStory = await Story.findById(story._id)
-      .populate('authorId', 'username imageUrl')
-      .populate('comments.userId', 'username');
-
-    const formattedStory = {
-      ...populatedStory.toObject(),
-      author: populatedStory.authorId ? populatedStory.authorId.username : 'Unknown',
-      authorImage: populatedStory.authorId ? populatedStory.authorId.imageUrl : '',
-      comments: populatedStory.comments.map((comment) => ({
-        ...comment.toObject(),
-        username: comment.userId ? comment.userId.username : 'Unknown',
-      })),
-    };
-    res.json(formattedStory);
+    res.json(await listThreads(story._id, options, viewerId));
   } catch (err) {
-    console.error('Error bookmarking/unbookmarking story:', err);
-    res.status(500).json({ error: 'Failed to update bookmark status: ' + err.message });
+    console.error('Error fetching comments:', err);
+    res.status(500).json({ error: 'Failed to fetch comments: ' + err.message });
   }
 });
 
-// Protected route: Add a comment to a story
-app.post('/api/stories/:id/comment', ClerkExpressRequireAuth(), syncUser, async (req, res) => {
+// Protected route: Add a comment (or a reply when parentId is given) to a story
+app.post('/api/stories/:id/comment', requireAuth, rateLimit('comment'), async (req, res) => {
   try {
     const { id } = req.params;
-    const { content } = req.body;
+    const { content, parentId } = req.body;
     const userId = req.user._id;
     const username = req.user.username;
 
@@ -414,35 +482,144 @@ app.post('/api/stories/:id/comment', ClerkExpressRequireAuth(), syncUser, async
     }
 
     const story = await Story.findById(id);
-    if (!story) {
+    if (!story || !canView(story, req.user)) {
       return res.status(404).json({ error: 'Story not found' });
     }
 
-    story.comments.push({ userId, username, content });
-    await story.save();
+    let parent = null;
+    if (parentId) {
+      parent = await Comment.findOne({ _id: parentId, storyId: story._id });
+      if (!parent || parent.deleted || parent.hidden) {
+        return res.status(404).json({ error: 'Parent comment not found.' });
+      }
+    }
+
+    const comment = new Comment({
+      storyId: story._id,
+      parentId: parent ? parent._id : null,
+      rootId: parent ? parent.rootId || parent._id : null,
+      userId,
+      username,
+      content,
+    });
+    await comment.save();
+
+    if (parent) {
+      await Comment.updateOne({ _id: parent._id }, { $inc: { replyCount: 1 } });
+    }
+    await Story.updateOne({ _id: story._id }, { $inc: { commentCount: 1 } });
+    await recordStat({ authorId: story.authorId, storyId: story._id, field: 'comments' });
 
-    const populatedStory = await Story.findById(story._id)
-      .populate('authorId', 'username imageUrl')
-      .populate('comments.userId', 'username');
+    // Tell the parent comment's author about a reply, and the story's author about
+    // the comment unless they already heard about it as a reply
+    if (parent) {
+      await notify({ type: 'reply', recipientId: parent.userId, actor: req.user, story, comment: parent });
+    }
+    if (!parent || !parent.userId.equals(story.authorId)) {
+      await notify({ type: 'comment', recipientId: story.authorId, actor: req.user, story });
+    }
+    if (!story.authorId.equals(req.user._id)) {
+      await emailNewComment(story, comment, req.user);
+    }
 
-    const formattedStory = {
-      ...populatedStory.toObject(),
-      author: populatedStory.authorId ? populatedStory.authorId.username : 'Unknown',
-      authorImage: populatedStory.authorId ? populatedStory.authorId.imageUrl : '',
-      comments: populatedStory.comments.map((comment) => ({
-        ...comment.toObject(),
-        username: comment.userId ? comment.userId.username : 'Unknown',
-      })),
-    };
-    res.status(201).json(formattedStory);
+    await comment.populate('userId', 'username imageUrl');
+    publish(storyChannel(story._id), 'comment', {
+      storyId: story._id,
+      commentCount: story.commentCount + 1,
+      comment: formatComment(comment),
+    });
+    res.status(201).json(formatComment(comment, req.user.clerkId));
   } catch (err) {
     console.error('Error adding comment:', err);
     res.status(500).json({ error: 'Failed to add comment: ' + err.message });
   }
 });
 
+// Protected route: Edit a comment
+app.put('/api/stories/:storyId/comment/:commentId', requireAuth, async (req, res) => {
+  try {
+    const { storyId, commentId } = req.params;
+    const { content } = req.body;
+
+    if (!content) {
+      return res.status(400).json({ error: 'Comment content cannot be empty.' });
+    }
+
+    const comment = await Comment.findOne({ _id: commentId, storyId });
+    if (!comment || comment.deleted || comment.hidden) {
+      return res.status(404).json({ error: 'Comment not found.' });
+    }
+
+    if (comment.userId.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ error: 'Unauthorized: You can only edit your own comments.' });
+    }
+
+    if (comment.content !== content) {
+      comment.content = content;
+      comment.editedAt = Date.now();
+      comment.updatedAt = Date.now();
+      await comment.save();
+    }
+
+    await comment.populate('userId', 'username imageUrl');
+    publish(storyChannel(comment.storyId), 'comment_update', {
+      storyId: comment.storyId,
+      comment: formatComment(comment),
+    });
+    res.json(formatComment(comment, req.user.clerkId));
+  } catch (err) {
+    console.error('Error editing comment:', err);
+    res.status(500).json({ error: 'Failed to edit comment: ' + err.message });
+  }
+});
+
+// Respond to liking (PUT) or unliking (DELETE) a comment with the updated comment
+const commentLikeHandler = (active) => async (req, res) => {
+  try {
+    const { storyId, commentId } = req.params;
+    const clerkUserId = req.user.clerkId;
+
+    const story = await Story.findById(storyId).select('status publishedAt hidden authorId deletedAt');
+    if (!story || !canView(story, req.user)) {
+      return res.status(404).json({ error: 'Story not found.' });
+    }
+    const comment = await Comment.findOne({ _id: commentId, storyId: story._id });
+    if (!comment || comment.deleted || comment.hidden) {
+      return res.status(404).json({ error: 'Comment not found.' });
+    }
+
+    const { changed, comment: updatedComment } = await setCommentLike(comment._id, clerkUserId, active);
+    if (changed && active) {
+      await notify({
+        type: 'comment_like',
+        recipientId: comment.userId,
+        actor: req.user,
+        story: { _id: comment.storyId },
+        comment,
+      });
+    }
+
+    await updatedComment.populate('userId', 'username imageUrl');
+    res.json(formatComment(updatedComment, clerkUserId));
+  } catch (err) {
+    console.error('Error liking/unliking comment:', err);
+    res.status(500).json({ error: 'Failed to update comment like status: ' + err.message });
+  }
+};
+
+// Protected route: Like a comment
+app.put('/api/stories/:storyId/comment/:commentId/like', requireAuth, rateLimit('reaction'), commentLikeHandler(true));
+
+// Protected route: Unlike a comment
+app.delete(
+  '/api/stories/:storyId/comment/:commentId/like',
+  requireAuth,
+  rateLimit('reaction'),
+  commentLikeHandler(false)
+);
+
 // Protected route: Delete a comment from a story
-app.delete('/api/stories/:storyId/comment/:commentId', ClerkExpressRequireAuth(), syncUser, async (req, res) => {
+app.delete('/api/stories/:storyId/comment/:commentId', requireAuth, async (req, res) => {
   try {
     const { storyId, commentId } = req.params;
     const userId = req.user._id;
@@ -452,86 +629,148 @@ app.delete('/api/stories/:storyId/comment/:commentId', ClerkExpressRequireAuth()
       return res.status(404).json({ error: 'Story not found.' });
     }
 
-    const comment = story.comments.id(commentId);
-    if (!comment) {
+    const comment = await Comment.findOne({ _id: commentId, storyId: story._id });
+    if (!comment || comment.deleted || comment.hidden) {
       return res.status(404).json({ error: 'Comment not found.' });
     }
 
+    // Moderators may delete any comment; that is recorded in the moderation log
     if (comment.userId.toString() !== userId.toString()) {
-      return res.status(403).json({ error: 'Unauthorized: You can only delete your own comments.' });
+      if (!isModerator(req.user)) {
+        return res.status(403).json({ error: 'Unauthorized: You can only delete your own comments.' });
+      }
+      await moderate(req.user, 'delete', 'comment', comment);
+    } else {
+      await removeComment(comment);
     }
 
-    story.comments.pull(commentId);
-    await story.save();
-
-    const populatedStory = await Story.findById(story._id)
-      .populate('authorId', 'username imageUrl')
-      .populate('comments.userId', 'username');
-
-    const formattedStory = {
-      ...populatedStory.toObject(),
-      author: populatedStory.authorId ? populatedStory.authorId.username : 'Unknown',
-      authorImage: populatedStory.authorId ? populatedStory.authorId.imageUrl : '',
-      comments: populatedStory.comments.map((comment) => ({
-        ...comment.toObject(),
-        username: comment.userId ? comment.userId.username : 'Unknown',
-      })),
-    };
-    res.json(formattedStory);
+    const { commentCount } = await Story.findById(story._id).select('commentCount');
+    publish(storyChannel(story._id), 'comment_delete', { storyId: story._id, commentId: comment._id, commentCount });
+    res.status(204).send();
   } catch (err) {
     console.error('Error deleting comment:', err);
     res.status(500).json({ error: 'Failed to delete comment: ' + err.message });
   }
 });
 
-// Protected route: Get user profile by Clerk ID
-app.get('/api/users/:clerkId', async (req, res) => {
+// Protected route: Report a story
+app.post('/api/stories/:id/report', requireAuth, async (req, res) => {
+  try {
+    const report = parseReport(req.body);
+    if (report.error) {
+      return res.status(400).json({ error: report.error });
+    }
+
+    const story = await Story.findById(req.params.id);
+    if (!story || !canView(story, req.user)) {
+      return res.status(404).json({ error: 'Story not found' });
+    }
+
+    await Report.create({
+      targetType: 'story',
+      targetId: story._id,
+      storyId: story._id,
+      reporterId: req.user._id,
+      ...report,
+    });
+    res.status(201).json({ success: true });
+  } catch (err) {
+    if (err.code === 11000) {
+      return res.status(409).json({ error: 'You have already reported this story.' });
+    }
+    console.error('Error reporting story:', err);
+    res.status(500).json({ error: 'Failed to report story: ' + err.message });
+  }
+});
+
+// Protected route: Report a comment
+app.post('/api/stories/:storyId/comment/:commentId/report', requireAuth, async (req, res) => {
+  try {
+    const { storyId, commentId } = req.params;
+    const report = parseReport(req.body);
+    if (report.error) {
+      return res.status(400).json({ error: report.error });
+    }
+
+    const comment = await Comment.findOne({ _id: commentId, storyId });
+    if (!comment || comment.deleted || comment.hidden) {
+      return res.status(404).json({ error: 'Comment not found.' });
+    }
+
+    await Report.create({
+      targetType: 'comment',
+      targetId: comment._id,
+      storyId: comment.storyId,
+      reporterId: req.user._id,
+      ...report,
+    });
+    res.status(201).json({ success: true });
+  } catch (err) {
+    if (err.code === 11000) {
+      return res.status(409).json({ error: 'You have already reported this comment.' });
+    }
+    console.error('Error reporting comment:', err);
+    res.status(500).json({ error: 'Failed to report comment: ' + err.message });
+  }
+});
+
+// Public route: Get user profile by Clerk ID
+app.get('/api/users/:clerkId', optionalAuth, async (req, res) => {
   try {
     const user = await User.findOne({ clerkId: req.params.clerkId });
     if (!user) {
       return res.status(404).json({ error: 'User not found' });
     }
-    res.json(user);
+
+    // Tell signed-in readers whether they already follow this profile
+    const followedByMe = req.user ? await isFollowing(req.user._id, user._id) : false;
+    res.json({ ...presentUser(user), followedByMe });
   } catch (err) {
     console.error('Error fetching user profile:', err);
     res.status(500).json({ error: 'Failed to fetch user profile: ' + err.message });
   }
 });
 
-// Protected route: Get bookmarked stories
-app.get('/api/stories/bookmarked', ClerkExpressRequireAuth(), syncUser, async (req, res) => {
+// Protected route: Get bookmarked stories, from all reading lists
+app.get('/api/stories/bookmarked', requireAuth, async (req, res) => {
   try {
     const user = req.user;
     if (!user) {
       return res.status(404).json({ error: 'User not found' });
     }
-    const bookmarkedStories = await Story.find({ bookmarks: user.clerkId })
-      .populate('authorId', 'username imageUrl')
-      .populate('comments.userId', 'username')
-      .sort({ createdAt: -1 });
-
-    const formattedStories = bookmarkedStories.map((story) => ({
-      ...story.toObject(),
-      author: story.authorId ? story.authorId.username : 'Unknown',
-      authorImage: story.authorId ? story.authorId.imageUrl : '',
-      comments: story.comments.map((comment) => ({
-        ...comment.toObject(),
-        username: comment.userId ? comment.userId.username : 'Unknown',
-      })),
-    }));
-    res.json(formattedStories);
+    const options = parseListOptions(req.query);
+    if (options.error) {
+      return res.status(400).json({ error: options.error });
+    }
+    res.json(
+      await listStories({ bookmarks: user.clerkId, ...publicStoryFilter() }, options, user.clerkId, req.languages)
+    );
   } catch (err) {
     console.error('Error fetching bookmarked stories:', err);
     res.status(500).json({ error: 'Failed to fetch bookmarked stories: ' + err.message });
   }
 });
 
+// Public route: Get a story with its full content, in the reader's language (?lang or
+// Accept-Language) when it has been translated into it
+app.get('/api/stories/:id', optionalAuth, async (req, res) => {
+  try {
+    const story = await Story.findById(req.params.id).select('status publishedAt hidden authorId deletedAt');
+    if (!story || !canView(story, req.user)) {
+      return res.status(404).json({ error: 'Story not found' });
+    }
+    res.json(await presentStory(story._id, req.user ? req.user.clerkId : null, req.languages));
+  } catch (err) {
+    console.error('Error fetching story:', err);
+    res.status(500).json({ error: 'Failed to fetch story: ' + err.message });
+  }
+});
+
 // Protected route: Update user profile
 app.put(
   '/api/users/:id',
-  ClerkExpressRequireAuth(),
-  syncUser,
-  upload.single('image'),
+  requireAuth,
+  uploadMedia({ image: 'image' }),
   async (req, res) => {
     try {
       const { id } = req.params;
@@ -544,13 +783,14 @@ app.put(
       let updateData = {};
       if (username) updateData.username = username;
       if (bio) updateData.bio = bio;
-      if (req.file) {
-        updateData.imageUrl = await uploadToImageKit(req.file, 'profile-images');
-      }
-
-      if (Object.keys(updateData).length === 0) {
+      const image = req.files && req.files.image && req.files.image[0];
+      if (!username && !bio && !image) {
         return res.status(400).json({ error: 'No update data provided' });
       }
+      if (image) {
+        const { url, fileId, width, height } = await storeFile(image, 'profile-images');
+        Object.assign(updateData, { imageUrl: url, imageFileId: fileId, imageWidth: width, imageHeight: height });
+      }
 
       const user = await User.findOneAndUpdate(
         { clerkId: id },
@@ -561,8 +801,11 @@ app.put(
       if (!user) {
         return res.status(404).json({ error: 'User not found' });
       }
+      if (image) {
+        await removeFiles([req.user.imageFileId]);
+      }
 
-      res.json(user);
+      res.json(presentOwnUser(user));
     } catch (err) {
       console.error('Error updating user profile:', err);
       res.status(500).json({ error: 'Failed to update profile: ' + err.message });
@@ -570,8 +813,9 @@ app.put(
   }
 );
 
-// Protected route: Delete user profile
-app.delete('/api/users/:clerkId', ClerkExpressRequireAuth(), syncUser, async (req, res) => {
+// Protected route: Delete user profile. The account and everything in it are deleted
+// once the grace period is over, unless the user cancels before then.
+app.delete('/api/users/:clerkId', requireAuth, async (req, res) => {
   try {
     const { clerkId } = req.params;
 
@@ -586,34 +830,44 @@ app.delete('/api/users/:clerkId', ClerkExpressRequireAuth(), syncUser, async (re
       return res.status(404).json({ error: 'User not found in database' });
     }
 
-    // Delete all stories authored by the user
-    await Story.deleteMany({ authorId: user._id });
-
-    // Remove user's likes, bookmarks, and comments from all stories
-    await Story.updateMany(
-      { $or: [{ likes: clerkId }, { bookmarks: clerkId }, { 'comments.userId': user._id }] },
-      {
-        $pull: {
-          likes: clerkId,
-          bookmarks: clerkId,
-          comments: { userId: user._id },
-        },
-      }
-    );
-
-    // Delete the user from MongoDB
-    await User.findOneAndDelete({ clerkId });
-
-    // Delete the user from Clerk
-    await global.Clerk.users.deleteUser(clerkId);
+    const alreadyScheduled = Boolean(user.deletionScheduledAt);
+    await scheduleAccountDeletion(user);
+    if (!alreadyScheduled) {
+      await emailAccountDeletionScheduled(user);
+    }
 
-    res.status(204).send();
+    res.status(202).json({ deletionScheduledAt: user.deletionScheduledAt });
   } catch (err) {
     console.error('Error deleting user profile:', err);
     res.status(500).json({ error: 'Failed to delete profile: ' + err.message });
   }
 });
 
+// Protected route: Cancel a scheduled deletion of the user's profile
+app.post('/api/users/:clerkId/cancel-deletion', requireAuth, async (req, res) => {
+  try {
+    if (req.user.clerkId !== req.params.clerkId) {
+      return res.status(403).json({ error: 'Unauthorized: You can only manage your own profile' });
+    }
+    if (!req.user.deletionScheduledAt) {
+      return res.status(409).json({ error: 'This profile is not scheduled for deletion.' });
+    }
+    const user = await cancelAccountDeletion(req.user);
+    if (!user) {
+      return res.status(409).json({ error: 'This profile is already being deleted.' });
+    }
+    res.json(presentOwnUser(user));
+  } catch (err) {
+    console.error('Error cancelling profile deletion:', err);
+    res.status(500).json({ error: 'Failed to cancel profile deletion: ' + err.message });
+  }
+});
+
+startPublishAnnouncer();
+startTrashPurger();
+startAccountDeletionWorker(authProvider);
+startMailWorker();
+
 app.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
 });